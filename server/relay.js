@@ -0,0 +1,246 @@
+// Relay for shared sessions: browsers joined to the same session see the same
+// cartridges go in and out, who is pointing at which cartridge, and optionally
+// the same camera. It forwards messages and remembers what each machine's slot
+// holds for people joining late; the browsers do everything else.
+//
+//   npm run relay   listens on RELAY_PORT (3002 by default)
+//
+// Browsers connect to ws://<host>:3002/?session=<id>&name=<name>. The first
+// one in a session is its host. In "host" mode only the host controls the
+// cartridges and camera, in "shared" mode everyone does. Messages are JSON
+// { type, ...fields }:
+//
+// Browser -> relay
+//   slot      { machineId, cartridgeId }  slot heading for a cartridge, null when empty
+//   camera    { camera }                  orbit in the ?camera= format
+//   hover     { machineId, cartridgeId }  cartridge under the pointer, null for none
+//   mode      { mode: "host" | "shared" } host only
+//   host      { clientId }                host only, hand over to another browser
+//
+// Relay -> browser
+//   welcome   { clientId, slots }         slots: { [machineId]: cartridgeId }
+//   presence  { hostId, mode, peers: [{ id, name, color, hover }] }
+//   slot      { from, machineId, cartridgeId }
+//   camera    { from, camera }
+//   error     { message }
+const http = require("http");
+const WebSocket = require("ws");
+
+const DEFAULT_PORT = 3002;
+const MAX_NAME_LENGTH = 32;
+const MAX_MESSAGE_BYTES = 4096;
+
+// One per browser, so presence indicators can be told apart
+const COLORS = [
+  "#FF6B6B",
+  "#4ECDC4",
+  "#FFD93D",
+  "#6C8CFF",
+  "#C77DFF",
+  "#FF9F45",
+  "#6BCB77",
+  "#FF8FC7"
+];
+
+const Mode = { HOST: "host", SHARED: "shared" };
+
+const isId = (value) =>
+  typeof value === "string" && value.length > 0 && value.length <= 128;
+
+// cartridgeId is an id or null
+const isCartridgeId = (value) => value === null || isId(value);
+
+function createRelay({ port = DEFAULT_PORT, server } = {}) {
+  const httpServer = server || http.createServer();
+  const wss = new WebSocket.Server({
+    server: httpServer,
+    maxPayload: MAX_MESSAGE_BYTES
+  });
+  const sessions = new Map(); // Session id -> { clients, hostId, mode, slots }
+  let nextClientId = 0;
+
+  const send = (client, message) => {
+    if (client.socket.readyState === WebSocket.OPEN) {
+      client.socket.send(JSON.stringify(message));
+    }
+  };
+
+  const broadcast = (session, message, except = null) => {
+    session.clients.forEach((client) => {
+      if (client !== except) send(client, message);
+    });
+  };
+
+  const broadcastPresence = (session) =>
+    broadcast(session, {
+      type: "presence",
+      hostId: session.hostId,
+      mode: session.mode,
+      peers: [...session.clients.values()].map(
+        ({ id, name, color, hover }) => ({ id, name, color, hover })
+      )
+    });
+
+  const canControl = (session, client) =>
+    session.mode === Mode.SHARED || session.hostId === client.id;
+
+  const handleMessage = (session, client, message) => {
+    switch (message.type) {
+      case "slot":
+        if (
+          !canControl(session, client) ||
+          !isId(message.machineId) ||
+          !isCartridgeId(message.cartridgeId)
+        ) {
+          return;
+        }
+        session.slots[message.machineId] = message.cartridgeId;
+        broadcast(
+          session,
+          {
+            type: "slot",
+            from: client.id,
+            machineId: message.machineId,
+            cartridgeId: message.cartridgeId
+          },
+          client
+        );
+        break;
+      case "camera":
+        if (
+          !canControl(session, client) ||
+          typeof message.camera !== "string"
+        ) {
+          return;
+        }
+        broadcast(
+          session,
+          { type: "camera", from: client.id, camera: message.camera },
+          client
+        );
+        break;
+      case "hover":
+        client.hover =
+          isId(message.machineId) && isId(message.cartridgeId)
+            ? { machineId: message.machineId, cartridgeId: message.cartridgeId }
+            : null;
+        broadcastPresence(session);
+        break;
+      case "mode":
+        if (
+          session.hostId !== client.id ||
+          !Object.values(Mode).includes(message.mode)
+        ) {
+          return;
+        }
+        session.mode = message.mode;
+        broadcastPresence(session);
+        break;
+      case "host":
+        if (
+          session.hostId !== client.id ||
+          !session.clients.has(message.clientId)
+        ) {
+          return;
+        }
+        session.hostId = message.clientId;
+        broadcastPresence(session);
+        break;
+      default:
+        send(client, {
+          type: "error",
+          message: `Unknown message type ${message.type}`
+        });
+    }
+  };
+
+  wss.on("connection", (socket, request) => {
+    const params = new URL(request.url, "http://relay").searchParams;
+    const sessionId = params.get("session");
+    if (!isId(sessionId)) {
+      socket.close(4000, "A session id is required");
+      return;
+    }
+
+    let session = sessions.get(sessionId);
+    if (!session) {
+      session = {
+        clients: new Map(),
+        hostId: null,
+        mode: Mode.HOST,
+        slots: {}
+      };
+      sessions.set(sessionId, session);
+    }
+
+    nextClientId += 1;
+    const id = `client-${nextClientId}`;
+    const client = {
+      id,
+      socket,
+      name: (params.get("name") || "").trim().slice(0, MAX_NAME_LENGTH) || id,
+      color: COLORS[(nextClientId - 1) % COLORS.length],
+      hover: null
+    };
+    session.clients.set(id, client);
+    if (!session.hostId) session.hostId = id;
+
+    send(client, { type: "welcome", clientId: id, slots: session.slots });
+    broadcastPresence(session);
+
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        send(client, { type: "error", message: "Messages must be JSON" });
+        return;
+      }
+      if (message !== null && typeof message === "object") {
+        handleMessage(session, client, message);
+      }
+    });
+
+    socket.on("close", () => {
+      session.clients.delete(id);
+      if (session.clients.size === 0) {
+        sessions.delete(sessionId);
+        return;
+      }
+      // The longest connected browser takes over from a host that left
+      if (session.hostId === id) {
+        session.hostId = session.clients.keys().next().value;
+      }
+      broadcastPresence(session);
+    });
+  });
+
+  // Resolves once listening, with the port (useful when port is 0)
+  const listen = () =>
+    new Promise((resolve) => {
+      if (server) {
+        resolve(httpServer.address() && httpServer.address().port);
+        return;
+      }
+      httpServer.listen(port, () => resolve(httpServer.address().port));
+    });
+
+  const close = () =>
+    new Promise((resolve) => {
+      wss.clients.forEach((socket) => socket.terminate());
+      wss.close(() => (server ? resolve() : httpServer.close(() => resolve())));
+    });
+
+  return { listen, close };
+}
+
+module.exports = { createRelay, DEFAULT_PORT };
+
+if (require.main === module) {
+  const port = Number(process.env.RELAY_PORT) || DEFAULT_PORT;
+  createRelay({ port })
+    .listen()
+    .then((listening) => {
+      console.log(`Session relay listening on ws://localhost:${listening}`);
+    });
+}
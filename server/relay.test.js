@@ -0,0 +1,202 @@
+// Runs with `npm run test:relay`, against a relay on a free local port
+const { after, before, describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const WebSocket = require("ws");
+
+const { createRelay } = require("./relay");
+
+let relay;
+let port;
+let sessionCount = 0;
+
+before(async () => {
+  relay = createRelay({ port: 0 });
+  port = await relay.listen();
+});
+
+after(() => relay.close());
+
+// A browser in a session, with the messages it has received so far
+const join = (sessionId, name) =>
+  new Promise((resolve, reject) => {
+    const socket = new WebSocket(
+      `ws://localhost:${port}/?session=${sessionId}&name=${name}`
+    );
+    const client = {
+      socket,
+      messages: [],
+      waiters: [],
+      send: (message) => socket.send(JSON.stringify(message)),
+      // Resolves with the first message, old or new, matching the test
+      next: (matches) => {
+        const found = client.messages.find(matches);
+        if (found) return Promise.resolve(found);
+        return new Promise((resolveNext) =>
+          client.waiters.push({ matches, resolve: resolveNext })
+        );
+      },
+      leave: () =>
+        new Promise((resolveClose) => {
+          socket.once("close", resolveClose);
+          socket.close();
+        })
+    };
+
+    socket.on("message", (data) => {
+      const message = JSON.parse(data);
+      client.messages.push(message);
+      client.waiters = client.waiters.filter(({ matches, resolve: done }) => {
+        if (!matches(message)) return true;
+        done(message);
+        return false;
+      });
+    });
+    socket.once("error", reject);
+    client
+      .next(({ type }) => type === "welcome")
+      .then((welcome) => resolve({ ...client, id: welcome.clientId }));
+  });
+
+const newSession = () => {
+  sessionCount += 1;
+  return `test-${sessionCount}`;
+};
+
+const isPresenceWith = (count) => (message) =>
+  message.type === "presence" && message.peers.length === count;
+
+// No message of a type arrives within a short wait
+const assertQuiet = async (client, type) => {
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(
+    client.messages.some((message) => message.type === type),
+    false
+  );
+};
+
+describe("relay", () => {
+  it("makes the first browser in a session its host", async () => {
+    const sessionId = newSession();
+    const host = await join(sessionId, "Ada");
+    const guest = await join(sessionId, "Bo");
+
+    const presence = await guest.next(isPresenceWith(2));
+    assert.equal(presence.hostId, host.id);
+    assert.equal(presence.mode, "host");
+    assert.deepEqual(
+      presence.peers.map(({ name }) => name),
+      ["Ada", "Bo"]
+    );
+
+    await host.leave();
+    await guest.leave();
+  });
+
+  it("only lets the host control in host mode", async () => {
+    const sessionId = newSession();
+    const host = await join(sessionId, "Ada");
+    const guest = await join(sessionId, "Bo");
+
+    guest.send({ type: "slot", machineId: "main", cartridgeId: "snake" });
+    guest.send({ type: "camera", camera: "10,80,100" });
+    guest.send({ type: "mode", mode: "shared" });
+    await assertQuiet(host, "slot");
+    await assertQuiet(host, "camera");
+
+    // The guest's mode change was ignored too
+    const late = await join(sessionId, "Cy");
+    const presence = await late.next(isPresenceWith(3));
+    assert.equal(presence.mode, "host");
+    await late.leave();
+
+    host.send({ type: "slot", machineId: "main", cartridgeId: "snake" });
+    const slot = await guest.next(({ type }) => type === "slot");
+    assert.deepEqual(slot, {
+      type: "slot",
+      from: host.id,
+      machineId: "main",
+      cartridgeId: "snake"
+    });
+
+    await host.leave();
+    await guest.leave();
+  });
+
+  it("lets everyone control in shared mode", async () => {
+    const sessionId = newSession();
+    const host = await join(sessionId, "Ada");
+    const guest = await join(sessionId, "Bo");
+
+    host.send({ type: "mode", mode: "shared" });
+    await guest.next(
+      (message) => message.type === "presence" && message.mode === "shared"
+    );
+
+    guest.send({ type: "camera", camera: "10,80,100" });
+    const camera = await host.next(({ type }) => type === "camera");
+    assert.equal(camera.from, guest.id);
+    assert.equal(camera.camera, "10,80,100");
+
+    await host.leave();
+    await guest.leave();
+  });
+
+  it("welcomes a late joiner with the current slots", async () => {
+    const sessionId = newSession();
+    const host = await join(sessionId, "Ada");
+    const guest = await join(sessionId, "Bo");
+
+    host.send({ type: "slot", machineId: "main", cartridgeId: "snake" });
+    host.send({ type: "slot", machineId: "compare-1", cartridgeId: "clock" });
+    host.send({ type: "slot", machineId: "compare-1", cartridgeId: null });
+    await guest.next(
+      (message) => message.type === "slot" && message.cartridgeId === null
+    );
+
+    const late = await join(sessionId, "Cy");
+    const welcome = late.messages.find(({ type }) => type === "welcome");
+    assert.deepEqual(welcome.slots, { main: "snake", "compare-1": null });
+
+    await host.leave();
+    await guest.leave();
+    await late.leave();
+  });
+
+  it("hands the host role on when the host disconnects", async () => {
+    const sessionId = newSession();
+    const host = await join(sessionId, "Ada");
+    const guest = await join(sessionId, "Bo");
+    const other = await join(sessionId, "Cy");
+
+    await host.leave();
+    const presence = await other.next(
+      (message) => isPresenceWith(2)(message) && message.hostId === guest.id
+    );
+    assert.equal(presence.hostId, guest.id);
+
+    // The new host now controls the session
+    guest.send({ type: "slot", machineId: "main", cartridgeId: "snake" });
+    const slot = await other.next(({ type }) => type === "slot");
+    assert.equal(slot.from, guest.id);
+
+    await guest.leave();
+    await other.leave();
+  });
+
+  it("lets the host hand over to another browser", async () => {
+    const sessionId = newSession();
+    const host = await join(sessionId, "Ada");
+    const guest = await join(sessionId, "Bo");
+
+    host.send({ type: "host", clientId: guest.id });
+    await host.next(
+      (message) => message.type === "presence" && message.hostId === guest.id
+    );
+
+    host.send({ type: "slot", machineId: "main", cartridgeId: "snake" });
+    await assertQuiet(guest, "slot");
+
+    await host.leave();
+    await guest.leave();
+  });
+});
@@ -0,0 +1,380 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import * as THREE from "three";
+import { Html } from "@react-three/drei";
+
+import CartridgeLabel from "./CartridgeLabel";
+import {
+  Easing,
+  createSequence,
+  createTween,
+  useTweenRunner
+} from "./animation";
+import { useModelGeometry } from "./models";
+import { Sound, playSound } from "./sound";
+import { DEFAULT_SCENE_PRESET } from "./scenePresets";
+
+// Z a cartridge is pulled out to before it moves between slots, and the plane it's dragged on
+export const LIFT_HEIGHT = 20;
+const HOVER_HEIGHT = 4; // How far a hovered (or queued) cartridge sticks out
+const DRAG_PLANE = new THREE.Plane(new THREE.Vector3(0, 0, 1), -LIFT_HEIGHT);
+const DRAG_THRESHOLD_PX = 4; // Pointer travel before a press turns into a drag
+
+// Durations in seconds. Lift and drop are for the full LIFT_HEIGHT and
+// scale down for shorter distances.
+const LIFT_DURATION = 0.4;
+const MOVE_DURATION = 0.6;
+const DROP_DURATION = 0.4;
+const HOVER_DURATION = 0.2;
+const PRESS_DURATION = 0.15;
+
+const presenceStyle = {
+  padding: "2px 8px",
+  borderRadius: 10,
+  color: "black",
+  fontSize: "11px",
+  whiteSpace: "nowrap"
+};
+
+// Lift out, move across at LIFT_HEIGHT, then drop into destination.
+// onMove runs as the cartridge starts across, for the slide sound.
+const createPathAnimation = (position, destination, onComplete, onMove) =>
+  createSequence(
+    [
+      () =>
+        createTween(
+          position,
+          { z: LIFT_HEIGHT },
+          {
+            duration:
+              (LIFT_DURATION * Math.abs(LIFT_HEIGHT - position.z)) / LIFT_HEIGHT
+          }
+        ),
+      () => {
+        if (onMove) onMove();
+        return createTween(
+          position,
+          { x: destination[0], y: destination[1] },
+          { duration: MOVE_DURATION }
+        );
+      },
+      () =>
+        createTween(
+          position,
+          { z: destination[2] },
+          {
+            duration:
+              (DROP_DURATION * Math.abs(LIFT_HEIGHT - destination[2])) /
+              LIFT_HEIGHT,
+            easing: Easing.easeOutCubic
+          }
+        )
+    ],
+    { onComplete }
+  );
+
+// Same array as long as the coordinates don't change, so effects keyed on a
+// position don't re-run for every freshly built array
+function useStablePosition(position) {
+  const ref = useRef(position);
+  if (ref.current.some((value, index) => value !== position[index])) {
+    ref.current = position;
+  }
+  return ref.current;
+}
+
+// A cartridge that rests in its slot, lifts on hover and press, can be
+// dragged, and follows the lift/move/drop path when inserted or ejected.
+// Motion runs on tweens that move the mesh directly, not through React state.
+// Sounds follow the motion: a slide across, then a click into the slot when
+// isInserting, or an eject sound as the cartridge leaves it.
+// presence lists the people in a shared session pointing at this cartridge.
+function AnimatedCartridge({
+  model,
+  onLoad,
+  initialPosition,
+  targetPosition,
+  isAnimating,
+  isInserting = false,
+  onAnimationComplete,
+  rotation,
+  scale,
+  color,
+  material = DEFAULT_SCENE_PRESET.materials.cartridge,
+  cartridge,
+  onClick,
+  onDrop,
+  onDragChange,
+  onHoverChange,
+  presence = [],
+  isQueued = false,
+  isSelected = false,
+  reducedMotion = false,
+  allowInteraction = true
+}) {
+  const meshRef = useRef();
+  const geometry = useModelGeometry(model, onLoad);
+  const [isHovered, setIsHovered] = useState(false);
+  const [isPressed, setIsPressed] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isReturning, setIsReturning] = useState(false); // Going home after a missed drop
+  const runner = useTweenRunner({ instant: reducedMotion });
+
+  // Middle of the model, where presence tags are pinned
+  const center = useMemo(() => {
+    if (!geometry) return null;
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    return geometry.boundingBox.getCenter(new THREE.Vector3()).toArray();
+  }, [geometry]);
+
+  const home = useStablePosition(initialPosition);
+  const destination = useStablePosition(targetPosition);
+  // Only used for the first render, afterwards tweens own the position
+  const [mountPosition] = useState(initialPosition);
+
+  // Drag bookkeeping lives in refs so pointer events don't wait for a render
+  const dragStartRef = useRef(null); // Screen position of the pointer down
+  const dragOffsetRef = useRef(new THREE.Vector3());
+  const wasDraggedRef = useRef(false); // Swallows the click that ends a drag
+
+  // The insert/eject path outlives renders, so call the latest completion handler
+  const onAnimationCompleteRef = useRef(onAnimationComplete);
+  useEffect(() => {
+    onAnimationCompleteRef.current = onAnimationComplete;
+  });
+
+  // Insert or eject along the path, from wherever the cartridge currently is
+  useEffect(() => {
+    if (!isAnimating || !meshRef.current) return;
+
+    if (!isInserting) playSound(Sound.EJECT);
+    runner.play(
+      "move",
+      createPathAnimation(
+        meshRef.current.position,
+        destination,
+        () => {
+          if (isInserting) playSound(Sound.CLICK_IN);
+          onAnimationCompleteRef.current();
+        },
+        // Reduced motion finishes the move at once, leaving nothing to slide
+        reducedMotion
+          ? null
+          : () => playSound(Sound.SLIDE, { duration: MOVE_DURATION })
+      )
+    );
+  }, [isAnimating, isInserting, destination, runner, geometry, reducedMotion]);
+
+  // Height above its slot while resting: out when pressed, a little when hovered or queued
+  let restLift = 0;
+  if (isPressed) {
+    restLift = LIFT_HEIGHT;
+  } else if (isHovered || isQueued) {
+    restLift = HOVER_HEIGHT;
+  }
+  const isResting = !isAnimating && !isDragging && !isReturning;
+
+  useEffect(() => {
+    if (!isResting || !meshRef.current) return;
+
+    const position = meshRef.current.position;
+    // Home changed without an animation (restored from the URL, shelf page change): jump there
+    if (Math.hypot(position.x - home[0], position.y - home[1]) > 0.5) {
+      position.set(...home);
+    }
+
+    runner.play(
+      "move",
+      createTween(
+        position,
+        { z: home[2] + restLift },
+        {
+          duration: restLift === LIFT_HEIGHT ? PRESS_DURATION : HOVER_DURATION,
+          easing: Easing.easeOutCubic
+        }
+      )
+    );
+  }, [isResting, home, restLift, runner, geometry]);
+
+  // Cursor while hovered; "progress" means the cartridge is queued for a swap
+  let hoverCursor = onClick ? "pointer" : "default";
+  if (!allowInteraction) {
+    hoverCursor = "not-allowed";
+  } else if (isQueued) {
+    hoverCursor = "progress";
+  }
+
+  // Update cursor when allowInteraction or the queued state changes while element is hovered
+  useEffect(() => {
+    if (isHovered) {
+      document.body.style.cursor = hoverCursor;
+    }
+  }, [hoverCursor, isHovered]);
+
+  // Reset hover states when animation starts to prevent cursor getting stuck
+  useEffect(() => {
+    if (isAnimating) {
+      setIsHovered(false);
+      setIsPressed(false);
+      document.body.style.cursor = "default";
+    }
+  }, [isAnimating]);
+
+  // Finish a press, dropping the cartridge if it was being dragged
+  const endDrag = (e) => {
+    if (allowInteraction) {
+      setIsPressed(false);
+    }
+    if (!dragStartRef.current) return;
+
+    dragStartRef.current = null;
+    e.target.releasePointerCapture(e.pointerId);
+
+    if (wasDraggedRef.current) {
+      setIsDragging(false);
+      document.body.style.cursor = "default";
+      if (onDragChange) onDragChange(false);
+
+      // The parent inserts or ejects on a good drop, otherwise go back home
+      const position = meshRef.current.position;
+      if (!onDrop || !onDrop(position.toArray())) {
+        setIsReturning(true);
+        runner.play(
+          "move",
+          createPathAnimation(
+            position,
+            home,
+            () => setIsReturning(false),
+            reducedMotion
+              ? null
+              : () => playSound(Sound.SLIDE, { duration: MOVE_DURATION })
+          )
+        );
+      }
+    }
+  };
+
+  if (!geometry) {
+    return null;
+  }
+
+  return (
+    <mesh
+      ref={meshRef}
+      geometry={geometry}
+      rotation={rotation}
+      position={mountPosition}
+      scale={scale}
+      onClick={(e) => {
+        // A drag ends in a click too, but the drop has already been handled
+        if (wasDraggedRef.current) {
+          wasDraggedRef.current = false;
+          e.stopPropagation();
+          return;
+        }
+        // Clear hover and pressed states when clicking to avoid stale states after position change
+        setIsHovered(false);
+        setIsPressed(false);
+        // Call the original onClick handler
+        if (onClick) onClick(e);
+      }}
+      onPointerDown={(e) => {
+        e.stopPropagation();
+        if (allowInteraction) {
+          setIsPressed(true);
+          playSound(Sound.PRESS);
+          if (onDrop) {
+            // Keep receiving moves for this pointer (mouse or touch) off the mesh
+            e.target.setPointerCapture(e.pointerId);
+            dragStartRef.current = {
+              x: e.nativeEvent.clientX,
+              y: e.nativeEvent.clientY
+            };
+            wasDraggedRef.current = false;
+          }
+        }
+      }}
+      onPointerMove={(e) => {
+        if (!dragStartRef.current) return;
+        e.stopPropagation();
+
+        const hit = e.ray.intersectPlane(DRAG_PLANE, new THREE.Vector3());
+        if (!hit) return;
+
+        const position = meshRef.current.position;
+        if (!wasDraggedRef.current) {
+          const moved = Math.hypot(
+            e.nativeEvent.clientX - dragStartRef.current.x,
+            e.nativeEvent.clientY - dragStartRef.current.y
+          );
+          if (moved < DRAG_THRESHOLD_PX) return;
+
+          // Grab the cartridge where the pointer is so it doesn't jump
+          dragOffsetRef.current.set(hit.x - position.x, hit.y - position.y, 0);
+          wasDraggedRef.current = true;
+          runner.stop("move");
+          setIsDragging(true);
+          document.body.style.cursor = "grabbing";
+          if (onDragChange) onDragChange(true);
+        }
+
+        position.set(
+          hit.x - dragOffsetRef.current.x,
+          hit.y - dragOffsetRef.current.y,
+          LIFT_HEIGHT
+        );
+      }}
+      onPointerUp={(e) => {
+        e.stopPropagation();
+        endDrag(e);
+      }}
+      onPointerCancel={endDrag}
+      onPointerEnter={(e) => {
+        e.stopPropagation();
+        if (allowInteraction) {
+          setIsHovered(true);
+          playSound(Sound.HOVER);
+        }
+        if (onHoverChange) onHoverChange(true);
+        document.body.style.cursor = hoverCursor;
+      }}
+      onPointerLeave={(e) => {
+        e.stopPropagation();
+        if (isDragging) return; // The pointer is captured until the drop
+        if (onHoverChange) onHoverChange(false);
+        if (allowInteraction) {
+          setIsHovered(false);
+          setIsPressed(false); // Clear pressed state when leaving
+        }
+        document.body.style.cursor = "default";
+      }}
+    >
+      <meshStandardMaterial
+        color={color || "#ffffff"}
+        emissive={isSelected ? color || "#ffffff" : "#000000"}
+        emissiveIntensity={isSelected ? 0.4 : 0}
+        metalness={material.metalness}
+        roughness={material.roughness}
+      />
+      {cartridge && (
+        <CartridgeLabel
+          geometry={geometry}
+          rotation={rotation}
+          cartridge={cartridge}
+        />
+      )}
+      {presence.length > 0 && (
+        <Html position={center} center style={{ pointerEvents: "none" }}>
+          <div style={{ display: "flex", gap: 4 }}>
+            {presence.map(({ id, name, color }) => (
+              <span key={id} style={{ ...presenceStyle, background: color }}>
+                {name}
+              </span>
+            ))}
+          </div>
+        </Html>
+      )}
+    </mesh>
+  );
+}
+
+export default AnimatedCartridge;
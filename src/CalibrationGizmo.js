@@ -0,0 +1,61 @@
+import React, { useMemo } from "react";
+import * as THREE from "three";
+import { TransformControls } from "@react-three/drei";
+
+import { getModelBounds, useModelGeometry } from "./models";
+
+// Move handles for the part picked in the calibration panel. The handles sit
+// in the middle of the part's outline rather than at its origin, which for
+// the STLs is well off to one side.
+function CalibrationGizmo({
+  position,
+  model,
+  rotation,
+  scale,
+  bounds,
+  onChange,
+  onDragChange
+}) {
+  const geometry = useModelGeometry(model);
+
+  // Outline relative to the position: given bounds, or the model's own
+  const box = useMemo(() => {
+    if (bounds) return bounds;
+    return geometry ? getModelBounds(geometry, rotation, scale) : null;
+  }, [bounds, geometry, rotation, scale]);
+
+  if (!box) {
+    return null;
+  }
+
+  const center = box.getCenter(new THREE.Vector3());
+  const size = box.getSize(new THREE.Vector3());
+
+  return (
+    <TransformControls
+      mode="translate"
+      position={[
+        position[0] + center.x,
+        position[1] + center.y,
+        position[2] + center.z
+      ]}
+      onMouseDown={() => onDragChange(true)}
+      onMouseUp={(e) => {
+        onDragChange(false);
+        const moved = e.target.object.position;
+        onChange(
+          [moved.x - center.x, moved.y - center.y, moved.z - center.z].map(
+            (value) => Math.round(value * 100) / 100
+          )
+        );
+      }}
+    >
+      <mesh raycast={() => null}>
+        <boxGeometry args={size.toArray()} />
+        <meshBasicMaterial color="#FFD788" wireframe />
+      </mesh>
+    </TransformControls>
+  );
+}
+
+export default CalibrationGizmo;
@@ -0,0 +1,435 @@
+import React, { useState } from "react";
+
+import { buttonStyle } from "./SettingsPanel";
+import {
+  CALIBRATION_FILE_NAME,
+  exportCalibration,
+  getCalibrationTargets,
+  getModelFormat,
+  getTargetPosition,
+  setTargetPosition
+} from "./calibration";
+import { DISPLAY_RANGES, DisplaySource } from "./display";
+
+const panelStyle = {
+  position: "absolute",
+  bottom: 56,
+  right: 16,
+  width: 320,
+  maxHeight: "calc(100vh - 88px)",
+  overflowY: "auto",
+  padding: 16,
+  zIndex: 1000,
+  display: "flex",
+  flexDirection: "column",
+  gap: 12,
+  boxSizing: "border-box",
+  color: "white",
+  background: "rgba(0, 0, 0, 0.85)",
+  borderRadius: 8,
+  fontSize: "14px"
+};
+
+const inputStyle = {
+  width: "100%",
+  boxSizing: "border-box",
+  padding: "6px 8px",
+  border: "1px solid #444444",
+  borderRadius: 4,
+  color: "white",
+  background: "#111111",
+  fontFamily: "inherit"
+};
+
+const toggleStyle = {
+  ...buttonStyle,
+  position: "absolute",
+  bottom: 16,
+  right: 16,
+  zIndex: 1000
+};
+
+const dropZoneStyle = {
+  flex: 1,
+  padding: "12px 8px",
+  border: "1px dashed #666666",
+  borderRadius: 4,
+  textAlign: "center",
+  cursor: "pointer",
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+  whiteSpace: "nowrap"
+};
+
+const rowStyle = { display: "flex", gap: 8, alignItems: "center" };
+const errorStyle = { color: "#FF4848" };
+const AXES = ["x", "y", "z"];
+
+const DISPLAY_LABELS = {
+  pixelGrid: "Pixel grid",
+  scanlines: "Scanlines",
+  brightness: "Brightness",
+  glare: "Glare",
+  falloff: "Off-axis falloff"
+};
+
+// Empty text is not a number, even though Number("") is 0
+const parseNumber = (text) => (text.trim() === "" ? NaN : Number(text));
+const isPositive = (number) => Number.isFinite(number) && number > 0;
+
+// A number input that keeps what's typed until it's a number, so it can pass
+// through "" or "-" on the way to a negative value, or "0" on the way to
+// "0.5". Only numbers that pass isValid are committed, and leaving the field
+// puts back the last one.
+function NumberInput({ value, isValid = Number.isFinite, onCommit, ...props }) {
+  const [text, setText] = useState(String(value));
+  const [shownValue, setShownValue] = useState(value);
+
+  // Follow changes made elsewhere, like the gizmo, without rewriting "1." as
+  // "1" while it is being typed
+  if (value !== shownValue) {
+    setShownValue(value);
+    if (parseNumber(text) !== value) setText(String(value));
+  }
+
+  return (
+    <input
+      {...props}
+      type="number"
+      value={text}
+      onChange={(e) => {
+        setText(e.target.value);
+        const number = parseNumber(e.target.value);
+        if (isValid(number)) onCommit(number);
+      }}
+      onBlur={() => setText(String(value))}
+    />
+  );
+}
+
+// Three number inputs editing an [x, y, z] array
+function VectorInput({ label, value, step, onChange }) {
+  return (
+    <label>
+      {label}
+      <div style={rowStyle}>
+        {AXES.map((axis, index) => (
+          <NumberInput
+            key={axis}
+            aria-label={`${label} ${axis}`}
+            style={inputStyle}
+            step={step}
+            value={value[index]}
+            onCommit={(number) =>
+              onChange(value.map((old, i) => (i === index ? number : old)))
+            }
+          />
+        ))}
+      </div>
+    </label>
+  );
+}
+
+// Panel emulation for the screen, see display.js
+function DisplaySettings({ display, onChange }) {
+  const update = (changes) => onChange({ ...display, ...changes });
+
+  return (
+    <>
+      <label>
+        <input
+          type="checkbox"
+          checked={display.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />{" "}
+        Draw the screen as a texture with display emulation
+      </label>
+      <label>
+        Frames from
+        <select
+          style={inputStyle}
+          value={display.source}
+          onChange={(e) => update({ source: e.target.value })}
+        >
+          {Object.values(DisplaySource).map((source) => (
+            <option key={source} value={source}>
+              {source}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Panel resolution
+        <div style={rowStyle}>
+          {["width", "height"].map((axis, index) => (
+            <NumberInput
+              key={axis}
+              aria-label={`Panel ${axis}`}
+              style={inputStyle}
+              step={1}
+              min={1}
+              value={display.resolution[index]}
+              isValid={(pixels) => Number.isInteger(pixels) && pixels > 0}
+              onCommit={(pixels) => {
+                const resolution = [...display.resolution];
+                resolution[index] = pixels;
+                update({ resolution });
+              }}
+            />
+          ))}
+        </div>
+      </label>
+      {Object.entries(DISPLAY_RANGES).map(([key, [min, max]]) => (
+        <label key={key}>
+          {DISPLAY_LABELS[key]}
+          <input
+            style={{ width: "100%" }}
+            type="range"
+            min={min}
+            max={max}
+            step={0.01}
+            value={display[key]}
+            onChange={(e) => update({ [key]: parseFloat(e.target.value) })}
+          />
+        </label>
+      ))}
+    </>
+  );
+}
+
+// Drop target (or file picker) for an .stl or .glb model
+function ModelDropZone({ label, fileName, onFile, onError }) {
+  const [isOver, setIsOver] = useState(false);
+
+  const handleFile = (file) => {
+    const format = file && getModelFormat(file.name);
+    if (!format) {
+      onError(`${file ? file.name : "That"} is not an .stl or .glb file`);
+      return;
+    }
+    onFile({ url: URL.createObjectURL(file), format, name: file.name });
+  };
+
+  return (
+    <label
+      style={{
+        ...dropZoneStyle,
+        background: isOver ? "rgba(255, 255, 255, 0.15)" : "transparent"
+      }}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setIsOver(true);
+      }}
+      onDragLeave={() => setIsOver(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setIsOver(false);
+        handleFile(e.dataTransfer.files[0]);
+      }}
+    >
+      {label}
+      <br />
+      <small>{fileName || "Drop .stl or .glb"}</small>
+      <input
+        type="file"
+        accept=".stl,.glb"
+        style={{ display: "none" }}
+        onChange={(e) => {
+          if (e.target.files[0]) handleFile(e.target.files[0]);
+          e.target.value = "";
+        }}
+      />
+    </label>
+  );
+}
+
+// Swap in new case and cartridge models and line up the slots and screen
+// with them. Changes are saved by the parent and can be exported as a new
+// calibration.json; dropped models only last until the page is reloaded.
+function CalibrationPanel({
+  calibration,
+  target,
+  modelFiles,
+  isOpen,
+  onOpenChange,
+  onTargetChange,
+  onChange,
+  onReset,
+  onModelFile
+}) {
+  const [error, setError] = useState(null);
+  const position = getTargetPosition(calibration, target);
+  const part = target === "case" || target === "cartridge" ? target : null;
+  const slotIndex = target.startsWith("slot:") ? Number(target.slice(5)) : null;
+
+  const updatePart = (changes) =>
+    onChange({
+      ...calibration,
+      [part]: { ...calibration[part], ...changes }
+    });
+
+  const handleExport = () => {
+    const blob = new Blob([exportCalibration(calibration)], {
+      type: "application/json"
+    });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = CALIBRATION_FILE_NAME;
+    link.click();
+    // Some browsers start the download later, so keep the URL around a while
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  };
+
+  const addSlot = () => {
+    const last = calibration.slots[calibration.slots.length - 1];
+    const spacing =
+      calibration.slots.length > 1
+        ? last[1] - calibration.slots[calibration.slots.length - 2][1]
+        : -9.6;
+    onChange({
+      ...calibration,
+      slots: [...calibration.slots, [last[0], last[1] + spacing, last[2]]]
+    });
+    onTargetChange(`slot:${calibration.slots.length}`);
+  };
+
+  const removeSlot = () => {
+    onChange({
+      ...calibration,
+      slots: calibration.slots.filter((slot, index) => index !== slotIndex)
+    });
+    onTargetChange("targetSlot");
+  };
+
+  return (
+    <>
+      <button
+        style={toggleStyle}
+        onClick={() => onOpenChange(!isOpen)}
+        aria-expanded={isOpen}
+      >
+        Calibrate
+      </button>
+
+      {isOpen && (
+        <div style={panelStyle}>
+          <div style={rowStyle}>
+            <ModelDropZone
+              label="Case model"
+              fileName={modelFiles.case && modelFiles.case.name}
+              onFile={(file) => {
+                setError(null);
+                onModelFile("case", file);
+              }}
+              onError={setError}
+            />
+            <ModelDropZone
+              label="Cartridge model"
+              fileName={modelFiles.cartridge && modelFiles.cartridge.name}
+              onFile={(file) => {
+                setError(null);
+                onModelFile("cartridge", file);
+              }}
+              onError={setError}
+            />
+          </div>
+          {error && (
+            <div role="alert" style={errorStyle}>
+              {error}
+            </div>
+          )}
+
+          <label>
+            Adjust
+            <select
+              style={inputStyle}
+              value={target}
+              onChange={(e) => onTargetChange(e.target.value)}
+            >
+              {getCalibrationTargets(calibration).map(({ id, label }) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {position && (
+            <VectorInput
+              label="Position"
+              value={position}
+              step={0.1}
+              onChange={(value) =>
+                onChange(setTargetPosition(calibration, target, value))
+              }
+            />
+          )}
+          {part && (
+            <>
+              <VectorInput
+                label="Rotation (degrees)"
+                value={calibration[part].rotation}
+                step={1}
+                onChange={(rotation) => updatePart({ rotation })}
+              />
+              <label>
+                Scale
+                <NumberInput
+                  style={inputStyle}
+                  step={0.01}
+                  min={0.01}
+                  value={calibration[part].scale}
+                  isValid={isPositive}
+                  onCommit={(scale) => updatePart({ scale })}
+                />
+              </label>
+            </>
+          )}
+          {target === "screen" && (
+            <>
+              <label>
+                Screen size (distance factor)
+                <NumberInput
+                  style={inputStyle}
+                  step={0.1}
+                  min={0.1}
+                  value={calibration.screen.distanceFactor}
+                  isValid={isPositive}
+                  onCommit={(distanceFactor) =>
+                    onChange({
+                      ...calibration,
+                      screen: { ...calibration.screen, distanceFactor }
+                    })
+                  }
+                />
+              </label>
+              <DisplaySettings
+                display={calibration.display}
+                onChange={(display) => onChange({ ...calibration, display })}
+              />
+            </>
+          )}
+
+          <div style={{ ...rowStyle, flexWrap: "wrap" }}>
+            <button style={buttonStyle} onClick={addSlot}>
+              Add slot
+            </button>
+            {slotIndex !== null && calibration.slots.length > 1 && (
+              <button style={buttonStyle} onClick={removeSlot}>
+                Remove slot
+              </button>
+            )}
+            <button style={buttonStyle} onClick={onReset}>
+              Reset
+            </button>
+            <button style={buttonStyle} onClick={handleExport}>
+              Export
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default CalibrationPanel;
@@ -0,0 +1,97 @@
+import { useEffect, useRef } from "react";
+import * as THREE from "three";
+import { useFrame } from "@react-three/fiber";
+
+import { createTween, useTweenRunner } from "./animation";
+
+const TRANSITION_DURATION = 0.7; // Seconds
+
+// Moves the camera to move's target and orbit ({ target, azimuth, polar,
+// distance }). The direction to the camera is slerped so it swings round the
+// target instead of cutting through it, and OrbitControls is updated every
+// frame so it carries on from wherever the camera ends up.
+function CameraTransition({ controlsRef, move, onComplete, reducedMotion }) {
+  const runner = useTweenRunner({ instant: reducedMotion });
+  const transitionRef = useRef(null);
+  const onCompleteRef = useRef(onComplete);
+
+  useEffect(() => {
+    onCompleteRef.current = onComplete;
+  });
+
+  useEffect(() => {
+    const controls = controlsRef.current;
+    if (!move || !controls) return;
+
+    const fromTarget = controls.target.clone();
+    const fromOffset = controls.object.position.clone().sub(fromTarget);
+    const toDirection = new THREE.Vector3().setFromSpherical(
+      new THREE.Spherical(1, move.polar, move.azimuth)
+    );
+    const transition = {
+      progress: 0,
+      fromTarget,
+      toTarget: new THREE.Vector3().fromArray(move.target),
+      fromDirection: fromOffset.clone().normalize(),
+      fromDistance: fromOffset.length(),
+      toDistance: move.distance,
+      turn: new THREE.Quaternion().setFromUnitVectors(
+        fromOffset.normalize(),
+        toDirection
+      )
+    };
+    transitionRef.current = transition;
+
+    runner.play(
+      "move",
+      createTween(
+        transition,
+        { progress: 1 },
+        {
+          duration: TRANSITION_DURATION,
+          onComplete: () => onCompleteRef.current(move)
+        }
+      )
+    );
+
+    // A new move, or the user grabbing the camera, cancels this one
+    return () => {
+      runner.stop("move");
+      transitionRef.current = null;
+    };
+  }, [move, controlsRef, runner]);
+
+  // Runs after the runner has advanced the progress for this frame
+  const turnRef = useRef(new THREE.Quaternion());
+  useFrame(() => {
+    const transition = transitionRef.current;
+    const controls = controlsRef.current;
+    if (!transition || !controls) return;
+
+    const { progress } = transition;
+    turnRef.current.identity().slerp(transition.turn, progress);
+    controls.target.lerpVectors(
+      transition.fromTarget,
+      transition.toTarget,
+      progress
+    );
+    controls.object.position
+      .copy(transition.fromDirection)
+      .applyQuaternion(turnRef.current)
+      .multiplyScalar(
+        THREE.MathUtils.lerp(
+          transition.fromDistance,
+          transition.toDistance,
+          progress
+        )
+      )
+      .add(controls.target);
+    controls.update(); // Clamps to the rotation and zoom limits
+
+    if (progress >= 1) transitionRef.current = null;
+  });
+
+  return null;
+}
+
+export default CameraTransition;
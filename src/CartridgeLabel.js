@@ -0,0 +1,164 @@
+import React, { useEffect, useMemo, useState } from "react";
+import * as THREE from "three";
+
+// Share of the front face the label covers, leaving a rim around it
+const LABEL_WIDTH = 0.9;
+const LABEL_HEIGHT = 0.75;
+const LABEL_OFFSET = 0.05; // Keeps the label from z-fighting with the face
+const CANVAS_WIDTH = 512;
+
+// Generated artwork: a stripe in the cartridge color with the icon and app name
+const drawDefaultLabel = (canvas, { label, icon, color }) => {
+  const context = canvas.getContext("2d");
+  const { width, height } = canvas;
+  const stripe = height * 0.25;
+  const padding = height * 0.12;
+
+  context.fillStyle = "#F4F1EA";
+  context.fillRect(0, 0, width, height);
+  context.fillStyle = color;
+  context.fillRect(0, 0, stripe, height);
+
+  let x = stripe + padding;
+  context.textBaseline = "middle";
+  if (icon) {
+    context.font = `${Math.round(height * 0.55)}px sans-serif`;
+    context.fillText(icon, x, height / 2);
+    x += context.measureText(icon).width + padding;
+  }
+
+  // Shrink long names until they fit
+  context.fillStyle = "#1A1A1A";
+  let fontSize = height * 0.42;
+  context.font = `bold ${fontSize}px sans-serif`;
+  while (
+    fontSize > 8 &&
+    context.measureText(label).width > width - x - padding
+  ) {
+    fontSize -= 2;
+    context.font = `bold ${fontSize}px sans-serif`;
+  }
+  context.fillText(label, x, height / 2);
+};
+
+const createDefaultTexture = (cartridge, aspect) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = CANVAS_WIDTH;
+  canvas.height = Math.round(CANVAS_WIDTH / aspect);
+  drawDefaultLabel(canvas, cartridge);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+};
+
+// Texture for a cartridge's label: its artwork image when it has one and it
+// loads, the generated label otherwise
+function useLabelTexture(cartridge, aspect) {
+  const { label, icon, color, artwork } = cartridge;
+  const [texture, setTexture] = useState(null);
+
+  useEffect(() => {
+    let current = null;
+    let cancelled = false;
+    const show = (next) => {
+      if (cancelled) {
+        next.dispose();
+        return;
+      }
+      if (current) current.dispose();
+      current = next;
+      setTexture(next);
+    };
+    const showDefault = () =>
+      show(createDefaultTexture({ label, icon, color }, aspect));
+
+    if (artwork) {
+      new THREE.TextureLoader().load(
+        artwork,
+        (image) => {
+          image.colorSpace = THREE.SRGBColorSpace;
+          show(image);
+        },
+        undefined,
+        showDefault
+      );
+    } else {
+      showDefault();
+    }
+
+    return () => {
+      cancelled = true;
+      if (current) current.dispose();
+    };
+  }, [label, icon, color, artwork, aspect]);
+
+  return texture;
+}
+
+// Model axis closest to a direction, as a unit vector
+const snapToAxis = (vector) => {
+  const components = vector.toArray();
+  const axis = components.reduce(
+    (best, value, index) =>
+      Math.abs(value) > Math.abs(components[best]) ? index : best,
+    0
+  );
+  const snapped = new THREE.Vector3();
+  snapped.setComponent(axis, Math.sign(components[axis]));
+  return snapped;
+};
+
+// Label stuck on the front face of a cartridge, the end that faces the
+// viewer. It is rendered as a child of the cartridge mesh, so the face is
+// found in the model's own coordinates from the rotation the mesh is drawn with.
+function CartridgeLabel({ geometry, rotation, cartridge }) {
+  const face = useMemo(() => {
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const box = geometry.boundingBox;
+    const size = box.getSize(new THREE.Vector3());
+
+    // Model directions that end up facing the viewer and pointing up
+    const toModel = new THREE.Quaternion()
+      .setFromEuler(new THREE.Euler(...rotation))
+      .invert();
+    const normal = snapToAxis(
+      new THREE.Vector3(0, 0, 1).applyQuaternion(toModel)
+    );
+    const up = snapToAxis(new THREE.Vector3(0, 1, 0).applyQuaternion(toModel));
+    const right = new THREE.Vector3().crossVectors(up, normal);
+
+    const center = box.getCenter(new THREE.Vector3());
+    center.addScaledVector(
+      normal,
+      Math.abs(size.dot(normal)) / 2 + LABEL_OFFSET
+    );
+
+    return {
+      center: center.toArray(),
+      quaternion: new THREE.Quaternion()
+        .setFromRotationMatrix(new THREE.Matrix4().makeBasis(right, up, normal))
+        .toArray(),
+      width: Math.abs(size.dot(right)) * LABEL_WIDTH,
+      height: Math.abs(size.dot(up)) * LABEL_HEIGHT
+    };
+  }, [geometry, rotation]);
+
+  const texture = useLabelTexture(cartridge, face.width / face.height);
+  if (!texture) {
+    return null;
+  }
+
+  return (
+    <mesh
+      position={face.center}
+      quaternion={face.quaternion}
+      raycast={() => null} // Pointer events belong to the cartridge itself
+    >
+      <planeGeometry args={[face.width, face.height]} />
+      <meshStandardMaterial map={texture} roughness={0.7} />
+    </mesh>
+  );
+}
+
+export default CartridgeLabel;
@@ -0,0 +1,49 @@
+import React from "react";
+
+import { visuallyHidden } from "./accessibility";
+
+// Offscreen list mirroring the 3D cartridges for keyboard and screen reader users
+function CartridgeList({
+  cartridges,
+  activeIndex,
+  pendingIndex,
+  onSelect,
+  onFocusCartridge,
+  announcement
+}) {
+  return (
+    <div style={visuallyHidden}>
+      <h2 id="cartridge-list-title">Cartridges</h2>
+      <ul aria-labelledby="cartridge-list-title">
+        {cartridges.map((cartridge, index) => {
+          const isActive = activeIndex === index;
+          let action = `Insert ${cartridge.label}`;
+          if (isActive) {
+            action = `Eject ${cartridge.label}`;
+          } else if (pendingIndex === index) {
+            action = `${cartridge.label}, queued`;
+          }
+
+          return (
+            <li key={cartridge.id}>
+              <button
+                aria-label={action}
+                aria-pressed={isActive}
+                aria-keyshortcuts={index < 9 ? String(index + 1) : undefined}
+                onClick={() => onSelect(index)}
+                onFocus={() => onFocusCartridge(index)}
+              >
+                {cartridge.label}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      <div role="status" aria-live="polite">
+        {announcement}
+      </div>
+    </div>
+  );
+}
+
+export default CartridgeList;
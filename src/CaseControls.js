@@ -0,0 +1,323 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Html } from "@react-three/drei";
+
+import { Easing, createTween, useTweenRunner } from "./animation";
+import { isInteractiveTarget } from "./accessibility";
+import { DEFAULT_SCENE_PRESET } from "./scenePresets";
+
+// Turns the machine on and off instead of reaching the firmware
+export const POWER_BUTTON = "power";
+
+// Physical controls along the top edge of the case front, with their keyboard shortcuts
+export const DEFAULT_CASE_CONTROLS = [
+  { id: "a", type: "button", label: "A", key: "KeyZ", position: [-38, 28, 9] },
+  { id: "b", type: "button", label: "B", key: "KeyX", position: [-28, 28, 9] },
+  {
+    id: "menu",
+    type: "button",
+    label: "Menu",
+    key: "KeyC",
+    position: [-18, 28, 9]
+  },
+  {
+    id: POWER_BUTTON,
+    type: "button",
+    label: "Power",
+    key: "KeyP",
+    position: [22, 28, 9]
+  },
+  {
+    id: "knob",
+    type: "encoder",
+    label: "Knob",
+    keys: { left: "KeyQ", right: "KeyE", press: "KeyW" },
+    position: [36, 28, 9]
+  }
+];
+
+const BUTTON_TRAVEL = 1.2; // How far a button sinks when pressed
+const DETENT_ANGLE = Math.PI / 12; // Encoder rotation per step
+const PRESS_DURATION = 0.08; // Seconds
+const TURN_DURATION = 0.15;
+
+// Readable name of a KeyboardEvent.code for the labels
+const keyName = (code) => code.replace(/^Key/, "");
+
+const labelStyle = {
+  color: "white",
+  fontSize: "10px",
+  whiteSpace: "nowrap",
+  userSelect: "none",
+  pointerEvents: "none"
+};
+
+// Sink or raise a control's moving part
+const usePressAnimation = (ref, isPressed, runner) => {
+  useEffect(() => {
+    runner.play(
+      "press",
+      createTween(
+        ref.current.position,
+        { z: isPressed ? -BUTTON_TRAVEL : 0 },
+        { duration: PRESS_DURATION, easing: Easing.easeOutCubic }
+      )
+    );
+  }, [ref, isPressed, runner]);
+};
+
+function CaseButton({
+  control,
+  material,
+  isPressed,
+  reducedMotion,
+  onPress,
+  onRelease
+}) {
+  const capRef = useRef();
+  const runner = useTweenRunner({ instant: reducedMotion });
+  usePressAnimation(capRef, isPressed, runner);
+
+  return (
+    <group position={control.position}>
+      <mesh
+        ref={capRef}
+        rotation={[Math.PI / 2, 0, 0]}
+        onPointerDown={(e) => {
+          e.stopPropagation();
+          e.target.setPointerCapture(e.pointerId);
+          onPress();
+        }}
+        onPointerUp={(e) => {
+          e.stopPropagation();
+          onRelease();
+        }}
+        onPointerCancel={onRelease}
+        onPointerEnter={(e) => {
+          e.stopPropagation();
+          document.body.style.cursor = "pointer";
+        }}
+        onPointerLeave={(e) => {
+          e.stopPropagation();
+          document.body.style.cursor = "default";
+        }}
+      >
+        <cylinderGeometry args={[3, 3, 2.4, 32]} />
+        <meshStandardMaterial
+          color={isPressed ? "#FFD788" : "#222222"}
+          metalness={material.metalness}
+          roughness={material.roughness}
+        />
+      </mesh>
+      <Html position={[0, -5, 0]} center style={labelStyle}>
+        {control.label} ({keyName(control.key)})
+      </Html>
+    </group>
+  );
+}
+
+function CaseEncoder({
+  control,
+  material,
+  steps,
+  isPressed,
+  reducedMotion,
+  onPress,
+  onRelease,
+  onTurn,
+  onHoverChange
+}) {
+  const knobRef = useRef();
+  const runner = useTweenRunner({ instant: reducedMotion });
+  usePressAnimation(knobRef, isPressed, runner);
+
+  // Clockwise is a negative rotation seen from the front
+  useEffect(() => {
+    runner.play(
+      "turn",
+      createTween(
+        knobRef.current.rotation,
+        { z: -steps * DETENT_ANGLE },
+        { duration: TURN_DURATION, easing: Easing.easeOutCubic }
+      )
+    );
+  }, [steps, runner]);
+
+  return (
+    <group position={control.position}>
+      <group ref={knobRef}>
+        <mesh
+          rotation={[Math.PI / 2, 0, 0]}
+          onPointerDown={(e) => {
+            e.stopPropagation();
+            e.target.setPointerCapture(e.pointerId);
+            onPress();
+          }}
+          onPointerUp={(e) => {
+            e.stopPropagation();
+            onRelease();
+          }}
+          onPointerCancel={onRelease}
+          onWheel={(e) => {
+            e.stopPropagation();
+            onTurn(e.deltaY > 0 ? 1 : -1);
+          }}
+          onPointerEnter={(e) => {
+            e.stopPropagation();
+            document.body.style.cursor = "pointer";
+            onHoverChange(true);
+          }}
+          onPointerLeave={(e) => {
+            e.stopPropagation();
+            document.body.style.cursor = "default";
+            onHoverChange(false);
+          }}
+        >
+          <cylinderGeometry args={[4.5, 4.5, 3, 32]} />
+          <meshStandardMaterial
+            color={isPressed ? "#FFD788" : "#333333"}
+            metalness={material.metalness}
+            roughness={material.roughness}
+          />
+        </mesh>
+        {/* Notch showing the knob's angle */}
+        <mesh position={[0, 3, 1.6]}>
+          <boxGeometry args={[0.8, 2.5, 0.4]} />
+          <meshStandardMaterial color="#FFFFFF" />
+        </mesh>
+      </group>
+      <Html position={[0, -7, 0]} center style={labelStyle}>
+        {control.label} ({keyName(control.keys.left)}/
+        {keyName(control.keys.right)}, push {keyName(control.keys.press)})
+      </Html>
+    </group>
+  );
+}
+
+// Clickable buttons and rotary encoders on the case. Presses and turns come
+// from the pointer (wheel turns an encoder) or from the keyboard shortcuts.
+// onDragChange reports a control being held with the pointer and onZoomLockChange
+// the pointer resting on an encoder, so the parent can pause orbiting/zooming.
+function CaseControls({
+  controls = DEFAULT_CASE_CONTROLS,
+  onButton,
+  onEncoder,
+  onDragChange,
+  onZoomLockChange,
+  isKeyboardEnabled = true,
+  material = DEFAULT_SCENE_PRESET.materials.controls,
+  reducedMotion = false
+}) {
+  const [pressed, setPressed] = useState(new Set());
+  const [encoderSteps, setEncoderSteps] = useState({});
+  const pressedRef = useRef(new Set()); // Source of truth, also read by key listeners
+
+  // Latest callbacks for the window key listeners
+  const handlersRef = useRef({ onButton, onEncoder });
+  useEffect(() => {
+    handlersRef.current = { onButton, onEncoder };
+  });
+
+  const press = useCallback((id) => {
+    if (pressedRef.current.has(id)) return;
+    pressedRef.current.add(id);
+    setPressed(new Set(pressedRef.current));
+    handlersRef.current.onButton(id, "press");
+  }, []);
+
+  const release = useCallback((id) => {
+    if (!pressedRef.current.has(id)) return;
+    pressedRef.current.delete(id);
+    setPressed(new Set(pressedRef.current));
+    handlersRef.current.onButton(id, "release");
+  }, []);
+
+  const turn = useCallback((id, delta) => {
+    setEncoderSteps((prev) => ({ ...prev, [id]: (prev[id] || 0) + delta }));
+    handlersRef.current.onEncoder(id, delta);
+  }, []);
+
+  useEffect(() => {
+    if (!isKeyboardEnabled) return;
+
+    // Typing in a text field or a shortcut like Ctrl+C isn't meant for the case
+    const handleKeyDown = (event) => {
+      if (
+        isInteractiveTarget(event.target) ||
+        event.ctrlKey ||
+        event.metaKey ||
+        event.altKey
+      ) {
+        return;
+      }
+      controls.forEach((control) => {
+        if (control.type === "button") {
+          if (event.code === control.key) press(control.id);
+        } else if (control.type === "encoder") {
+          if (event.code === control.keys.left) turn(control.id, -1);
+          if (event.code === control.keys.right) turn(control.id, 1);
+          if (event.code === control.keys.press) press(control.id);
+        }
+      });
+    };
+
+    // Releases always go through so a control can't get stuck down when focus
+    // moves into a field while its key is held
+    const handleKeyUp = (event) => {
+      controls.forEach((control) => {
+        const key =
+          control.type === "button" ? control.key : control.keys.press;
+        if (event.code === key) release(control.id);
+      });
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+    };
+  }, [controls, isKeyboardEnabled, press, release, turn]);
+
+  const pointerPress = (id) => {
+    onDragChange(true);
+    press(id);
+  };
+
+  const pointerRelease = (id) => {
+    onDragChange(false);
+    release(id);
+  };
+
+  return (
+    <group>
+      {controls.map((control) =>
+        control.type === "encoder" ? (
+          <CaseEncoder
+            key={control.id}
+            control={control}
+            material={material}
+            steps={encoderSteps[control.id] || 0}
+            isPressed={pressed.has(control.id)}
+            reducedMotion={reducedMotion}
+            onPress={() => pointerPress(control.id)}
+            onRelease={() => pointerRelease(control.id)}
+            onTurn={(delta) => turn(control.id, delta)}
+            onHoverChange={onZoomLockChange}
+          />
+        ) : (
+          <CaseButton
+            key={control.id}
+            control={control}
+            material={material}
+            isPressed={pressed.has(control.id)}
+            reducedMotion={reducedMotion}
+            onPress={() => pointerPress(control.id)}
+            onRelease={() => pointerRelease(control.id)}
+          />
+        )
+      )}
+    </group>
+  );
+}
+
+export default CaseControls;
@@ -0,0 +1,102 @@
+import React, { useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { Html } from "@react-three/drei";
+
+import { PowerState } from "./powerMachine";
+import { SlotState } from "./slotMachine";
+
+// Status lights along the top edge of the case front, right of the knob
+const POWER_LED_POSITION = [44, 28, 9.6];
+const CARTRIDGE_LED_POSITION = [48, 28, 9.6];
+
+const BLINK_RATE = 3; // Blinks per second
+const BREATHE_PERIOD = 4; // Seconds per breath
+
+const Pattern = { OFF: "off", ON: "on", BLINK: "blink", BREATHE: "breathe" };
+
+const labelStyle = {
+  color: "white",
+  fontSize: "10px",
+  whiteSpace: "nowrap",
+  userSelect: "none",
+  pointerEvents: "none"
+};
+
+// Brightness from 0 to 1 of a pattern at a time in seconds
+const getLevel = (pattern, time) => {
+  switch (pattern) {
+    case Pattern.ON:
+      return 1;
+    case Pattern.BLINK:
+      return (time * BLINK_RATE) % 1 < 0.5 ? 1 : 0;
+    case Pattern.BREATHE:
+      return 0.5 - 0.5 * Math.cos((time * 2 * Math.PI) / BREATHE_PERIOD);
+    default:
+      return 0;
+  }
+};
+
+function Led({ position, color, pattern, label }) {
+  const materialRef = useRef();
+
+  useFrame(({ clock }) => {
+    materialRef.current.emissiveIntensity =
+      2 * getLevel(pattern, clock.elapsedTime);
+  });
+
+  return (
+    <group position={position}>
+      <mesh rotation={[Math.PI / 2, 0, 0]}>
+        <cylinderGeometry args={[1, 1, 0.6, 16]} />
+        <meshStandardMaterial
+          ref={materialRef}
+          color="#111111"
+          emissive={color}
+          emissiveIntensity={0}
+          toneMapped={false}
+        />
+      </mesh>
+      <Html position={[0, -3.5, 0]} center style={labelStyle}>
+        {label}
+      </Html>
+    </group>
+  );
+}
+
+// Power light: amber blinking while booting, green when on, breathing green
+// asleep. Cartridge light: blinking while a cartridge moves, lit while one runs.
+function CaseLeds({ powerStatus, slotStatus }) {
+  const isOn =
+    powerStatus === PowerState.IDLE || powerStatus === PowerState.RUNNING;
+
+  let powerPattern = Pattern.OFF;
+  if (powerStatus === PowerState.BOOTING) powerPattern = Pattern.BLINK;
+  if (isOn) powerPattern = Pattern.ON;
+  if (powerStatus === PowerState.SLEEP) powerPattern = Pattern.BREATHE;
+
+  let cartridgePattern = Pattern.OFF;
+  if (isOn && slotStatus === SlotState.INSERTED) {
+    cartridgePattern = Pattern.ON;
+  } else if (isOn && slotStatus !== SlotState.IDLE) {
+    cartridgePattern = Pattern.BLINK;
+  }
+
+  return (
+    <group>
+      <Led
+        position={POWER_LED_POSITION}
+        color={powerStatus === PowerState.BOOTING ? "#FFB020" : "#40FF70"}
+        pattern={powerPattern}
+        label="PWR"
+      />
+      <Led
+        position={CARTRIDGE_LED_POSITION}
+        color="#40D0FF"
+        pattern={cartridgePattern}
+        label="CART"
+      />
+    </group>
+  );
+}
+
+export default CaseLeds;
@@ -0,0 +1,310 @@
+import React, { useRef, useState } from "react";
+
+import { buttonStyle } from "./SettingsPanel";
+import {
+  DESIGNS_FILE_NAME,
+  createCartridgeDesign,
+  exportCartridgeDesigns,
+  importCartridgeDesigns,
+  validateCartridgeDesign
+} from "./cartridgeDesigns";
+
+const panelStyle = {
+  position: "absolute",
+  bottom: 56,
+  left: 16,
+  width: 340,
+  maxHeight: "calc(100vh - 88px)",
+  overflowY: "auto",
+  padding: 16,
+  zIndex: 1000,
+  display: "flex",
+  flexDirection: "column",
+  gap: 12,
+  boxSizing: "border-box",
+  color: "white",
+  background: "rgba(0, 0, 0, 0.85)",
+  borderRadius: 8,
+  fontSize: "14px"
+};
+
+const inputStyle = {
+  width: "100%",
+  boxSizing: "border-box",
+  padding: "6px 8px",
+  border: "1px solid #444444",
+  borderRadius: 4,
+  color: "white",
+  background: "#111111",
+  fontFamily: "inherit"
+};
+
+const toggleStyle = {
+  ...buttonStyle,
+  position: "absolute",
+  bottom: 16,
+  left: 16,
+  zIndex: 1000
+};
+
+const rowStyle = { display: "flex", gap: 8, alignItems: "center" };
+const errorStyle = { color: "#FF4848" };
+
+// Form fields for a design; empty optional fields are stored as null
+const toDraft = (design) => ({
+  ...design,
+  icon: design.icon || "",
+  artwork: design.artwork || "",
+  url: design.url || "",
+  useUrl: Boolean(design.url)
+});
+
+const fromDraft = ({ useUrl, ...draft }) => ({
+  ...draft,
+  label: draft.label.trim(),
+  app: useUrl ? draft.id : draft.app.trim(),
+  icon: draft.icon.trim() || undefined,
+  artwork: draft.artwork.trim() || undefined,
+  url: useUrl ? draft.url.trim() : undefined
+});
+
+// Create cartridges in the browser, try them in the machine and hand them
+// over as JSON. Saving puts the design in the scene straight away.
+function DesignerPanel({
+  designs,
+  activeId,
+  inSlotId,
+  onSave,
+  onDelete,
+  onInsert,
+  isOpen,
+  onOpenChange
+}) {
+  const [draft, setDraft] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const fileInputRef = useRef();
+
+  const edit = (design) => {
+    setDraft(toDraft(design));
+    setErrors([]);
+  };
+
+  const update = (field) => (event) => {
+    const value =
+      event.target.type === "checkbox"
+        ? event.target.checked
+        : event.target.value;
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const { design, errors } = validateCartridgeDesign(fromDraft(draft));
+    setErrors(errors);
+    if (design) {
+      onSave([design]);
+      setDraft(null);
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportCartridgeDesigns(designs)], {
+      type: "application/json"
+    });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = DESIGNS_FILE_NAME;
+    link.click();
+    // Some browsers start the download later, so keep the URL around a while
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  };
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = ""; // Allow importing the same file again
+    if (!file) return;
+
+    try {
+      const { cartridges, errors } = importCartridgeDesigns(await file.text());
+      onSave(cartridges);
+      setErrors(errors);
+    } catch (error) {
+      setErrors([error.message]);
+    }
+  };
+
+  return (
+    <>
+      <button
+        style={toggleStyle}
+        onClick={() => onOpenChange(!isOpen)}
+        aria-expanded={isOpen}
+      >
+        Designer
+      </button>
+
+      {isOpen && (
+        <div style={panelStyle}>
+          {designs.length === 0 && <div>No designs yet.</div>}
+          {designs.map((design) => (
+            <div key={design.id} style={rowStyle}>
+              <span
+                style={{
+                  width: 16,
+                  height: 16,
+                  borderRadius: 4,
+                  background: design.color
+                }}
+              />
+              <span style={{ flex: 1 }}>{design.label}</span>
+              <button style={buttonStyle} onClick={() => onInsert(design.id)}>
+                {design.id === activeId ? "Eject" : "Insert"}
+              </button>
+              <button style={buttonStyle} onClick={() => edit(design)}>
+                Edit
+              </button>
+              <button
+                style={buttonStyle}
+                disabled={design.id === inSlotId}
+                title={
+                  design.id === inSlotId
+                    ? "Eject it before deleting"
+                    : undefined
+                }
+                onClick={() => onDelete(design.id)}
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+
+          <div style={rowStyle}>
+            <button
+              style={buttonStyle}
+              onClick={() => edit(createCartridgeDesign())}
+            >
+              New design
+            </button>
+            <button
+              style={buttonStyle}
+              disabled={designs.length === 0}
+              onClick={handleExport}
+            >
+              Export
+            </button>
+            <button
+              style={buttonStyle}
+              onClick={() => fileInputRef.current.click()}
+            >
+              Import
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              style={{ display: "none" }}
+              onChange={handleImport}
+            />
+          </div>
+
+          {draft && (
+            <form
+              style={{ display: "flex", flexDirection: "column", gap: 12 }}
+              onSubmit={handleSubmit}
+            >
+              <label>
+                Label
+                <input
+                  style={inputStyle}
+                  value={draft.label}
+                  onChange={update("label")}
+                />
+              </label>
+              <div style={rowStyle}>
+                <label style={{ flex: 1 }}>
+                  Color
+                  <input
+                    style={{ ...inputStyle, height: 32, padding: 2 }}
+                    type="color"
+                    value={draft.color}
+                    onChange={update("color")}
+                  />
+                </label>
+                <label style={{ flex: 1 }}>
+                  Icon
+                  <input
+                    style={inputStyle}
+                    value={draft.icon}
+                    placeholder="Emoji or text"
+                    onChange={update("icon")}
+                  />
+                </label>
+              </div>
+              <label>
+                Label art URL
+                <input
+                  style={inputStyle}
+                  value={draft.artwork}
+                  placeholder="Drawn from the label when empty"
+                  onChange={update("artwork")}
+                />
+              </label>
+              <label style={rowStyle}>
+                <input
+                  type="checkbox"
+                  checked={draft.useUrl}
+                  onChange={update("useUrl")}
+                />
+                Load a custom URL instead of a firmware app
+              </label>
+              {draft.useUrl ? (
+                <label>
+                  Custom URL
+                  <input
+                    style={inputStyle}
+                    value={draft.url}
+                    placeholder="https://"
+                    onChange={update("url")}
+                  />
+                </label>
+              ) : (
+                <label>
+                  Firmware app
+                  <input
+                    style={inputStyle}
+                    value={draft.app}
+                    placeholder="Name after the # in the firmware URL"
+                    onChange={update("app")}
+                  />
+                </label>
+              )}
+
+              <div style={{ ...rowStyle, justifyContent: "flex-end" }}>
+                <button
+                  type="button"
+                  style={buttonStyle}
+                  onClick={() => setDraft(null)}
+                >
+                  Cancel
+                </button>
+                <button type="submit" style={buttonStyle}>
+                  Save
+                </button>
+              </div>
+            </form>
+          )}
+
+          {errors.length > 0 && (
+            <div role="alert" style={errorStyle}>
+              {errors.map((error) => (
+                <div key={error}>{error}</div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default DesignerPanel;
@@ -0,0 +1,156 @@
+import React, { useState } from "react";
+
+import { buttonStyle } from "./SettingsPanel";
+import {
+  DEFAULT_EXPORT,
+  ExportFormat,
+  MAX_EXPORT_SIZE,
+  VideoMode,
+  getVideoMimeType,
+  normalizeExportOptions
+} from "./sceneExport";
+
+// Below the toolbar the toggle sits in
+const panelStyle = {
+  position: "absolute",
+  top: "calc(100% + 8px)",
+  right: 0,
+  width: 320,
+  padding: 16,
+  zIndex: 1000,
+  display: "flex",
+  flexDirection: "column",
+  gap: 12,
+  color: "white",
+  background: "rgba(0, 0, 0, 0.85)",
+  borderRadius: 8,
+  fontSize: "14px"
+};
+
+const inputStyle = {
+  width: "100%",
+  boxSizing: "border-box",
+  padding: "6px 8px",
+  border: "1px solid #444444",
+  borderRadius: 4,
+  color: "white",
+  background: "#111111",
+  fontFamily: "inherit"
+};
+
+const rowStyle = { display: "flex", gap: 8 };
+
+// Still image or video of the machine at a chosen size
+function ExportPanel({ isExporting, error, onExport, isOpen, onOpenChange }) {
+  const [options, setOptions] = useState(DEFAULT_EXPORT);
+  const canRecord = getVideoMimeType() !== null;
+
+  const update =
+    (field, parse = (value) => value) =>
+    (event) => {
+      const value = parse(event.target.value);
+      setOptions((prev) => ({ ...prev, [field]: value }));
+    };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onExport(normalizeExportOptions(options));
+  };
+
+  return (
+    <>
+      <button
+        style={buttonStyle}
+        onClick={() => onOpenChange(!isOpen)}
+        aria-expanded={isOpen}
+      >
+        Export
+      </button>
+
+      {isOpen && (
+        <form style={panelStyle} onSubmit={handleSubmit}>
+          <label>
+            Format
+            <select
+              style={inputStyle}
+              value={options.format}
+              onChange={update("format")}
+            >
+              <option value={ExportFormat.PNG}>PNG image</option>
+              <option value={ExportFormat.WEBM} disabled={!canRecord}>
+                WebM video
+              </option>
+            </select>
+          </label>
+
+          <div style={rowStyle}>
+            <label>
+              Width
+              <input
+                style={inputStyle}
+                type="number"
+                min={16}
+                max={MAX_EXPORT_SIZE}
+                value={options.width}
+                onChange={update("width", Number)}
+              />
+            </label>
+            <label>
+              Height
+              <input
+                style={inputStyle}
+                type="number"
+                min={16}
+                max={MAX_EXPORT_SIZE}
+                value={options.height}
+                onChange={update("height", Number)}
+              />
+            </label>
+          </div>
+
+          {options.format === ExportFormat.WEBM && (
+            <div style={rowStyle}>
+              <label style={{ flex: 2 }}>
+                Motion
+                <select
+                  style={inputStyle}
+                  value={options.mode}
+                  onChange={update("mode")}
+                >
+                  <option value={VideoMode.TURNTABLE}>Turntable</option>
+                  <option value={VideoMode.INSERT}>
+                    Insert selected cartridge
+                  </option>
+                </select>
+              </label>
+              <label style={{ flex: 1 }}>
+                Seconds
+                <input
+                  style={inputStyle}
+                  type="number"
+                  min={1}
+                  value={options.duration}
+                  onChange={update("duration", Number)}
+                />
+              </label>
+            </div>
+          )}
+
+          {error && (
+            <div role="alert" style={{ color: "#FF4848" }}>
+              {error}
+            </div>
+          )}
+
+          <div style={{ display: "flex", justifyContent: "flex-end" }}>
+            <button type="submit" style={buttonStyle} disabled={isExporting}>
+              {isExporting ? "Exporting..." : "Export"}
+            </button>
+          </div>
+        </form>
+      )}
+    </>
+  );
+}
+
+export default ExportPanel;
@@ -0,0 +1,37 @@
+import { useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+
+import { applyCameraState } from "./urlState";
+
+const SWAY_SPEED = (4 * Math.PI) / 180; // Radians per second
+const LEVEL_SPEED = 0.5; // How quickly the camera eases back to level, per second
+
+// Sways the camera from side to side within limit (radians either side of
+// straight on) while isActive, starting from wherever the camera is so a
+// kiosk picks up smoothly after someone has used it
+function KioskOrbit({ controlsRef, isActive, limit }) {
+  const directionRef = useRef(1);
+
+  useFrame((state, delta) => {
+    const controls = controlsRef.current;
+    if (!isActive || !controls) return;
+
+    // Turn around at the limit, or head back inside it if someone left the
+    // camera further round
+    const current = controls.getAzimuthalAngle();
+    if (Math.abs(current) >= limit) {
+      directionRef.current = -Math.sign(current);
+    }
+    const azimuth = current + directionRef.current * SWAY_SPEED * delta;
+    const polar = controls.getPolarAngle();
+    applyCameraState(controls, {
+      azimuth,
+      polar: polar + (Math.PI / 2 - polar) * Math.min(1, LEVEL_SPEED * delta),
+      distance: controls.getDistance()
+    });
+  });
+
+  return null;
+}
+
+export default KioskOrbit;
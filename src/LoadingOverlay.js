@@ -0,0 +1,101 @@
+import React from "react";
+
+import { buttonStyle } from "./SettingsPanel";
+import { retryFailedModels, useModelLoadProgress } from "./models";
+
+const overlayStyle = {
+  position: "absolute",
+  top: 0,
+  left: 0,
+  width: "100%",
+  height: "100%",
+  display: "flex",
+  flexDirection: "column",
+  alignItems: "center",
+  justifyContent: "center",
+  gap: 12,
+  zIndex: 1000,
+  color: "white",
+  fontSize: "18px",
+  pointerEvents: "none"
+};
+
+const barStyle = {
+  width: 240,
+  height: 4,
+  borderRadius: 2,
+  overflow: "hidden",
+  background: "rgba(255, 255, 255, 0.15)"
+};
+
+const failureStyle = {
+  maxWidth: 420,
+  padding: "12px 16px",
+  display: "flex",
+  flexDirection: "column",
+  gap: 8,
+  color: "#FF4848",
+  background: "rgba(0, 0, 0, 0.8)",
+  borderRadius: 8,
+  fontSize: "14px",
+  pointerEvents: "auto"
+};
+
+// Model download progress while the scene loads, and any models that failed
+// with a way to try them again. Kept out of Simulator so progress events
+// only re-render this.
+function LoadingOverlay({ isLoading, error }) {
+  const { loaded, total, failures } = useModelLoadProgress();
+
+  if (error) {
+    return <div style={{ ...overlayStyle, color: "#FF4848" }}>{error}</div>;
+  }
+  if (!isLoading && failures.length === 0) {
+    return null;
+  }
+
+  const percent = total > 0 ? Math.round((loaded / total) * 100) : null;
+
+  return (
+    <div style={overlayStyle}>
+      {failures.length > 0 ? (
+        <div role="alert" style={failureStyle}>
+          {failures.map(({ name, message }) => (
+            <div key={name}>
+              Could not load {name}: {message}
+            </div>
+          ))}
+          <button
+            style={{ ...buttonStyle, alignSelf: "flex-start" }}
+            onClick={retryFailedModels}
+          >
+            Retry
+          </button>
+        </div>
+      ) : (
+        <>
+          <div>{percent !== null ? `Loading ${percent}%` : "Loading..."}</div>
+          <div
+            style={barStyle}
+            role="progressbar"
+            aria-label="Loading models"
+            aria-valuenow={percent ?? undefined}
+            aria-valuemin={0}
+            aria-valuemax={100}
+          >
+            <div
+              style={{
+                width: `${percent ?? 0}%`,
+                height: "100%",
+                background: "white",
+                transition: "width 0.2s"
+              }}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default LoadingOverlay;
@@ -0,0 +1,877 @@
+import React, { useEffect, useMemo, useReducer, useRef, useState } from "react";
+import { Html } from "@react-three/drei";
+
+import AnimatedCartridge from "./AnimatedCartridge";
+import CaseControls, { POWER_BUTTON } from "./CaseControls";
+import CaseLeds from "./CaseLeds";
+import Shelf from "./Shelf";
+import ScreenDisplay from "./ScreenDisplay";
+import {
+  DEFAULT_SWAP_DELAY,
+  buildFirmwareUrl,
+  getCartridgeHome,
+  getShelfPageCount
+} from "./cartridges";
+import { useModelGeometry } from "./models";
+import { probeFirmware } from "./firmwareConfig";
+import {
+  FirmwareMessage,
+  HostMessage,
+  describeCartridge,
+  useFirmwareBridge
+} from "./firmwareBridge";
+import {
+  SlotEvent,
+  SlotState,
+  getActiveIndex,
+  getAnimatingIndex
+} from "./slotMachine";
+import {
+  SCREEN_HEIGHT,
+  SCREEN_WIDTH,
+  createScreenTexture
+} from "./sceneExport";
+import { Sound, playSound } from "./sound";
+import {
+  BOOT_DURATION,
+  PowerEvent,
+  PowerState,
+  getInitialPowerState,
+  getSleepAfter,
+  isPoweredOn,
+  powerReducer
+} from "./powerMachine";
+import { SCREEN_ACTIVE_COLOR } from "./ScreenModeToggle";
+import { DEFAULT_SCENE_PRESET } from "./scenePresets";
+import { useLatestApi } from "./latestApi";
+
+const SNAP_DISTANCE = 6; // How close to the top slot a dropped cartridge snaps in
+const FIRMWARE_RETRY_INTERVAL = 10000; // How often to retry unreachable firmware (ms)
+const SCREEN_CAPTURE_TIMEOUT = 3000; // How long to wait for the firmware's screen image (ms)
+const LABEL_HEIGHT = 38; // Machine name above the case, relative to the case position
+const SLEEP_BRIGHTNESS = 0.2; // How bright the screen stays while asleep
+
+// The machine's case, from an STL or GLB model
+function CaseModel({
+  model,
+  onLoad,
+  position,
+  rotation,
+  scale,
+  material,
+  onClick,
+  onPointerEnter,
+  onPointerLeave
+}) {
+  const meshRef = useRef();
+  const geometry = useModelGeometry(model, onLoad);
+
+  if (!geometry) {
+    return null;
+  }
+
+  return (
+    <mesh
+      ref={meshRef}
+      geometry={geometry}
+      rotation={rotation}
+      position={position}
+      scale={scale}
+      onClick={onClick}
+      onPointerEnter={onPointerEnter}
+      onPointerLeave={onPointerLeave}
+      style={{ cursor: onClick ? "pointer" : "default" }}
+    >
+      <meshStandardMaterial
+        color={material.color}
+        metalness={material.metalness}
+        roughness={material.roughness}
+      />
+    </mesh>
+  );
+}
+
+// Loading and error states reported by the firmware, drawn over the screen
+function ScreenStatus({ status }) {
+  if (status.state === "ready") {
+    return null;
+  }
+
+  let text = "Loading...";
+  if (status.state === "error") {
+    text = status.message;
+  } else if (typeof status.progress === "number") {
+    text = `Loading ${Math.round(status.progress * 100)}%`;
+  }
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        inset: 0,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        padding: 80,
+        borderRadius: 20,
+        background: "rgba(0, 0, 0, 0.85)",
+        color: status.state === "error" ? "#FF4848" : "white",
+        fontSize: "48px",
+        textAlign: "center"
+      }}
+    >
+      {text}
+    </div>
+  );
+}
+
+// Shown while the machine boots, with a bar filling up over BOOT_DURATION
+function BootScreen({ label }) {
+  const [isStarted, setIsStarted] = useState(false);
+  useEffect(() => {
+    // Wait for the empty bar to be drawn so the fill transitions
+    let frame = requestAnimationFrame(() => {
+      frame = requestAnimationFrame(() => setIsStarted(true));
+    });
+    return () => cancelAnimationFrame(frame);
+  }, []);
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        inset: 0,
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: 48,
+        borderRadius: 20,
+        background: "black",
+        color: "white",
+        fontSize: "56px",
+        letterSpacing: "0.2em",
+        textTransform: "uppercase"
+      }}
+    >
+      {label || "Cartridge Machine"}
+      <div
+        style={{
+          width: 480,
+          height: 16,
+          borderRadius: 8,
+          background: "#333333",
+          overflow: "hidden"
+        }}
+      >
+        <div
+          style={{
+            width: isStarted ? "100%" : "0%",
+            height: "100%",
+            background: "white",
+            transition: `width ${BOOT_DURATION}ms linear`
+          }}
+        />
+      </div>
+    </div>
+  );
+}
+
+// Shown on the screen when the firmware server can't be reached
+function NoSignal({ url }) {
+  const bars = [
+    "#C0C0C0",
+    "#C0C000",
+    "#00C0C0",
+    "#00C000",
+    "#C000C0",
+    "#C00000",
+    "#0000C0"
+  ];
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        inset: 0,
+        display: "flex",
+        borderRadius: 20,
+        overflow: "hidden"
+      }}
+    >
+      {bars.map((color) => (
+        <div key={color} style={{ flex: 1, background: color }} />
+      ))}
+      <div
+        style={{
+          position: "absolute",
+          inset: 0,
+          display: "flex",
+          flexDirection: "column",
+          alignItems: "center",
+          justifyContent: "center",
+          gap: 24,
+          color: "white",
+          textAlign: "center"
+        }}
+      >
+        <div
+          style={{
+            padding: "16px 48px",
+            background: "black",
+            fontSize: "72px",
+            letterSpacing: "0.2em"
+          }}
+        >
+          NO SIGNAL
+        </div>
+        <div
+          style={{
+            padding: "8px 24px",
+            background: "black",
+            fontSize: "28px"
+          }}
+        >
+          Can't reach firmware at {url}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// One cartridge machine: the case and its controls, the firmware screen, the
+// cartridges and their shelf. Its slot state is owned by the parent so
+// machines can be linked; the machine sends its own animation and swap
+// timing events through onSlotEvent, and user actions through onSelect and
+// onEject. Any interaction with it calls onFocus.
+// onReady hands the parent { captureScreen } for exports, resolving to a
+// texture of the screen. In a shared session canControl is false for guests
+// watching the host, presence lists the other people and onCartridgeHover
+// reports the cartridge under this person's pointer (null when none).
+// isScreenInteractive lets clicks and touches through to the firmware, and
+// onScreenEscape reports Escape pressed inside it.
+// With display settings (see display.js) the screen is drawn as a texture in
+// the scene and the iframe, still running the firmware, is made invisible.
+// The machine has its own power state, see powerMachine.js.
+function Machine({
+  machine,
+  position,
+  catalog,
+  layout,
+  caseModel,
+  cartridgeModel,
+  caseRotation,
+  cartridgeRotation,
+  slot,
+  onSlotEvent,
+  onSelect,
+  onEject,
+  selectedIndex,
+  shelfPage,
+  onShelfPageChange,
+  isFocused,
+  onFocus,
+  onDragChange,
+  onZoomLockChange,
+  onCaseLoad,
+  onCartridgeLoad,
+  onReady,
+  onFirmwareStatusChange,
+  screenTexture,
+  canControl = true,
+  presence = [],
+  onCartridgeHover,
+  isScreenInteractive = false,
+  onScreenEscape,
+  display = null,
+  materials = DEFAULT_SCENE_PRESET.materials,
+  lightPosition = DEFAULT_SCENE_PRESET.keyLight.position,
+  reducedMotion
+}) {
+  const activeCartridgeIndex = getActiveIndex(slot);
+  const animatingCartridgeIndex = getAnimatingIndex(slot);
+  const pendingCartridgeIndex = slot.queued;
+  const cartridges = catalog ? catalog.cartridges : [];
+  const targetCartridgePosition = catalog
+    ? catalog.targetSlot
+    : layout.targetSlot;
+
+  const firmwareUrl = buildFirmwareUrl(
+    machine.baseUrl,
+    machine.apiKey,
+    activeCartridgeIndex !== null ? cartridges[activeCartridgeIndex] : null
+  );
+  // Only a change before the hash reloads the iframe, switching apps is a hashchange
+  const firmwareDocumentUrl = firmwareUrl.split("#")[0];
+  const screenPointerEvents = isScreenInteractive ? "auto" : "none";
+
+  // Power, toggled by the case's power button. The firmware only runs while
+  // the machine is on, and anything done with it wakes it and puts off sleep.
+  const [power, dispatchPower] = useReducer(
+    powerReducer,
+    activeCartridgeIndex !== null,
+    getInitialPowerState
+  );
+  const [sleepAfter] = useState(getSleepAfter);
+  const [activityCount, setActivityCount] = useState(0);
+  const isOff = power.status === PowerState.OFF;
+  const isAsleep = power.status === PowerState.SLEEP;
+
+  const noteActivity = () => {
+    dispatchPower({ type: PowerEvent.ACTIVITY });
+    setActivityCount((count) => count + 1);
+  };
+
+  useEffect(() => {
+    if (power.status !== PowerState.BOOTING) return;
+    const timer = setTimeout(
+      () => dispatchPower({ type: PowerEvent.BOOT_DONE }),
+      BOOT_DURATION
+    );
+    return () => clearTimeout(timer);
+  }, [power.status]);
+
+  useEffect(() => {
+    if (
+      sleepAfter === null ||
+      (power.status !== PowerState.IDLE && power.status !== PowerState.RUNNING)
+    ) {
+      return;
+    }
+    const timer = setTimeout(
+      () => dispatchPower({ type: PowerEvent.IDLE_TIMEOUT }),
+      sleepAfter * 1000
+    );
+    return () => clearTimeout(timer);
+  }, [power.status, activityCount, sleepAfter]);
+
+  useEffect(() => {
+    dispatchPower({
+      type: PowerEvent.CARTRIDGE,
+      hasCartridge: activeCartridgeIndex !== null
+    });
+  }, [activeCartridgeIndex]);
+
+  // Cartridges moving count as use
+  useEffect(() => {
+    dispatchPower({ type: PowerEvent.ACTIVITY });
+    setActivityCount((count) => count + 1);
+  }, [slot.status]);
+
+  // Firmware screen state: "loading", "ready" or "error". fromFirmware is set once
+  // the firmware speaks the bridge protocol, so the iframe load event can't override it.
+  const iframeRef = useRef();
+  const [firmwareStatus, setFirmwareStatus] = useState({
+    state: "loading",
+    fromFirmware: false
+  });
+
+  // Probe the firmware so an unreachable server shows "no signal" instead of
+  // a broken iframe, and keep retrying until it comes back
+  const [isFirmwareReachable, setIsFirmwareReachable] = useState(true);
+  useEffect(() => {
+    let cancelled = false;
+    let retryTimer = null;
+
+    const probe = async () => {
+      const reachable = await probeFirmware(firmwareDocumentUrl);
+      if (cancelled) return;
+      setIsFirmwareReachable(reachable);
+      if (!reachable) {
+        retryTimer = setTimeout(probe, FIRMWARE_RETRY_INTERVAL);
+      }
+    };
+
+    probe();
+    return () => {
+      cancelled = true;
+      clearTimeout(retryTimer);
+    };
+  }, [firmwareDocumentUrl]);
+
+  useEffect(() => {
+    setFirmwareStatus({ state: "loading", fromFirmware: false });
+  }, [firmwareDocumentUrl, isFirmwareReachable, isOff]);
+
+  // Let the parent know when the screen has settled, for scripted exports
+  const { id: machineId } = machine;
+  useEffect(() => {
+    onFirmwareStatusChange(machineId, {
+      isReachable: isFirmwareReachable,
+      state: firmwareStatus.state
+    });
+  }, [
+    machineId,
+    isFirmwareReachable,
+    firmwareStatus.state,
+    onFirmwareStatusChange
+  ]);
+
+  // Firmware without bridge support never reports, so treat its load event as ready
+  const handleIframeLoad = () => {
+    setFirmwareStatus((prev) =>
+      prev.fromFirmware ? prev : { state: "ready", fromFirmware: false }
+    );
+  };
+
+  const pendingCapturesRef = useRef(new Map()); // Capture id -> resolve
+  const captureIdRef = useRef(0);
+
+  const handleFirmwareMessage = ({ type, payload }) => {
+    switch (type) {
+      case FirmwareMessage.READY:
+        setFirmwareStatus({ state: "ready", fromFirmware: true });
+        // Bring a freshly loaded firmware up to date
+        if (activeCartridgeIndex !== null) {
+          sendToFirmware(
+            HostMessage.CARTRIDGE_INSERTED,
+            describeCartridge(cartridges[activeCartridgeIndex])
+          );
+        }
+        if (firmwarePowerState) {
+          sendToFirmware(HostMessage.POWER, { state: firmwarePowerState });
+        }
+        break;
+      case FirmwareMessage.LOADING:
+        setFirmwareStatus({
+          state: "loading",
+          progress:
+            typeof payload.progress === "number" ? payload.progress : null,
+          fromFirmware: true
+        });
+        break;
+      case FirmwareMessage.ERROR:
+        setFirmwareStatus({
+          state: "error",
+          message: String(payload.message || "Firmware error"),
+          fromFirmware: true
+        });
+        break;
+      case FirmwareMessage.REQUEST_EJECT:
+        onEject();
+        break;
+      case FirmwareMessage.SCREEN_CAPTURED: {
+        const resolve = pendingCapturesRef.current.get(payload.id);
+        if (
+          resolve &&
+          typeof payload.image === "string" &&
+          payload.image.startsWith("data:image/")
+        ) {
+          resolve(payload.image);
+        }
+        break;
+      }
+      case FirmwareMessage.SCREEN_ESCAPE:
+        if (isScreenInteractive && onScreenEscape) onScreenEscape();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const sendToFirmware = useFirmwareBridge(
+    iframeRef,
+    firmwareUrl,
+    handleFirmwareMessage
+  );
+
+  // Tell the firmware when it wakes, sleeps or finishes booting
+  const firmwarePowerState = isPoweredOn(power) ? power.status : null;
+  useEffect(() => {
+    if (firmwarePowerState) {
+      sendToFirmware(HostMessage.POWER, { state: firmwarePowerState });
+    }
+  }, [firmwarePowerState, sendToFirmware]);
+
+  // Tell the firmware when cartridges go in and out
+  const previousActiveRef = useRef(null);
+  useEffect(() => {
+    const previousIndex = previousActiveRef.current;
+    previousActiveRef.current = activeCartridgeIndex;
+    if (!catalog || previousIndex === activeCartridgeIndex) return;
+
+    if (previousIndex !== null) {
+      sendToFirmware(
+        HostMessage.CARTRIDGE_EJECTED,
+        describeCartridge(catalog.cartridges[previousIndex])
+      );
+    }
+    if (activeCartridgeIndex !== null) {
+      sendToFirmware(
+        HostMessage.CARTRIDGE_INSERTED,
+        describeCartridge(catalog.cartridges[activeCartridgeIndex])
+      );
+    }
+  }, [activeCartridgeIndex, catalog, sendToFirmware]);
+
+  // Show the shelf page an ejected cartridge returns to
+  const ejectingCartridgeIndex =
+    slot.status === SlotState.EJECTING ? slot.current : null;
+  const onShelfPageChangeRef = useRef(onShelfPageChange);
+  useEffect(() => {
+    onShelfPageChangeRef.current = onShelfPageChange;
+  });
+  useEffect(() => {
+    if (ejectingCartridgeIndex === null) return;
+    const { page } = getCartridgeHome(catalog, ejectingCartridgeIndex);
+    if (page !== null) {
+      onShelfPageChangeRef.current(page);
+    }
+  }, [ejectingCartridgeIndex, catalog]);
+
+  // Pause between ejecting one cartridge and inserting the queued one
+  const swapDelay = catalog ? catalog.swapDelay : DEFAULT_SWAP_DELAY;
+  const onSlotEventRef = useRef(onSlotEvent);
+  useEffect(() => {
+    onSlotEventRef.current = onSlotEvent;
+  });
+  useEffect(() => {
+    if (slot.status !== SlotState.QUEUED) return;
+    const timer = setTimeout(
+      () => onSlotEventRef.current({ type: SlotEvent.SWAP_DELAY_DONE }),
+      swapDelay
+    );
+    return () => clearTimeout(timer);
+  }, [slot.status, swapDelay]);
+
+  // Ask the firmware for an image of its screen and turn it into a texture,
+  // with a placeholder card if it doesn't answer
+  const captureScreen = async () => {
+    if (isOff) return createScreenTexture(null, "");
+
+    let image = null;
+    if (isFirmwareReachable) {
+      image = await new Promise((resolve) => {
+        captureIdRef.current += 1;
+        const id = captureIdRef.current;
+        const finish = (result) => {
+          clearTimeout(timer);
+          pendingCapturesRef.current.delete(id);
+          resolve(result);
+        };
+        const timer = setTimeout(() => finish(null), SCREEN_CAPTURE_TIMEOUT);
+        pendingCapturesRef.current.set(id, finish);
+        sendToFirmware(HostMessage.CAPTURE_SCREEN, { id });
+      });
+    }
+    return createScreenTexture(
+      image,
+      isFirmwareReachable ? "Firmware screen unavailable" : "NO SIGNAL"
+    );
+  };
+
+  const api = useLatestApi({ captureScreen });
+  useEffect(() => {
+    onReady(machineId, api);
+    return () => onReady(machineId, null);
+  }, [machineId, onReady, api]);
+
+  // Handle cartridge click
+  const handleCartridgeClick = (clickedIndex) => {
+    return (event) => {
+      event.stopPropagation();
+      onSelect(clickedIndex);
+    };
+  };
+
+  // Handle a dragged cartridge being let go. Returns true when the drop
+  // started an insert or eject, false to send the cartridge back where it was.
+  const handleCartridgeDrop = (droppedIndex) => {
+    return (position) => {
+      onFocus();
+      const isNearSlot =
+        Math.hypot(
+          position[0] - targetCartridgePosition[0],
+          position[1] - targetCartridgePosition[1]
+        ) < SNAP_DISTANCE;
+
+      // Pulling the inserted cartridge away from the slot ejects it
+      if (slot.status === SlotState.INSERTED && slot.current === droppedIndex) {
+        if (isNearSlot) return false;
+        onEject();
+        return true;
+      }
+
+      if (!isNearSlot) {
+        return false;
+      }
+
+      // Slot is busy: head home and swap in once it's free
+      onSelect(droppedIndex);
+      return slot.status === SlotState.IDLE;
+    };
+  };
+
+  // Forward case controls to the running firmware. Pressing anything while
+  // asleep only wakes the machine.
+  const handleCaseButton = (button, action) => {
+    if (action === "press") {
+      playSound(Sound.PRESS);
+      onFocus();
+    }
+    if (button === POWER_BUTTON) {
+      if (action === "press") dispatchPower({ type: PowerEvent.PRESS });
+      return;
+    }
+
+    noteActivity();
+    if (isPoweredOn(power) && !isAsleep) {
+      sendToFirmware(HostMessage.BUTTON, { button, action });
+    }
+  };
+
+  const handleCaseEncoder = (encoder, delta) => {
+    noteActivity();
+    if (isPoweredOn(power) && !isAsleep) {
+      sendToFirmware(HostMessage.ENCODER, { encoder, delta });
+    }
+  };
+
+  // Handle animation completion
+  const handleAnimationComplete = (index) => {
+    return () => onSlotEvent({ type: SlotEvent.ANIMATION_DONE, index });
+  };
+
+  const screenScale = layout.screen.distanceFactor / 400; // CSS pixels to scene units, as drei's Html does
+
+  // The emulated display takes over once booted, dimmed while asleep
+  const showsDisplay = Boolean(display) && isPoweredOn(power);
+  const screenDisplay = useMemo(
+    () =>
+      display && isAsleep
+        ? { ...display, brightness: display.brightness * SLEEP_BRIGHTNESS }
+        : display,
+    [display, isAsleep]
+  );
+
+  return (
+    <group position={position}>
+      <CaseModel
+        model={caseModel}
+        onLoad={onCaseLoad}
+        position={layout.case.position}
+        rotation={caseRotation}
+        scale={layout.case.scale}
+        material={materials.case}
+        onClick={(e) => {
+          e.stopPropagation();
+          onFocus();
+        }}
+        onPointerEnter={(e) => e.stopPropagation()}
+        onPointerLeave={(e) => e.stopPropagation()}
+      />
+
+      {machine.label && (
+        <Html
+          position={[
+            layout.case.position[0],
+            layout.case.position[1] + LABEL_HEIGHT,
+            layout.case.position[2]
+          ]}
+          center
+        >
+          <button
+            onClick={onFocus}
+            aria-pressed={isFocused}
+            style={{
+              padding: "4px 10px",
+              border: "none",
+              borderRadius: 4,
+              color: isFocused ? "black" : "white",
+              background: isFocused ? "white" : "rgba(255, 255, 255, 0.15)",
+              fontFamily: "inherit",
+              fontSize: "14px",
+              whiteSpace: "nowrap",
+              cursor: "pointer"
+            }}
+          >
+            {machine.label}
+          </button>
+        </Html>
+      )}
+
+      <CaseControls
+        onButton={handleCaseButton}
+        onEncoder={handleCaseEncoder}
+        onDragChange={onDragChange}
+        onZoomLockChange={onZoomLockChange}
+        isKeyboardEnabled={isFocused}
+        material={materials.controls}
+        reducedMotion={reducedMotion}
+      />
+
+      <CaseLeds powerStatus={power.status} slotStatus={slot.status} />
+
+      {catalog && getShelfPageCount(catalog) > 0 && (
+        <Shelf
+          shelf={catalog.shelf}
+          page={shelfPage}
+          pageCount={getShelfPageCount(catalog)}
+          onPageChange={onShelfPageChange}
+          cartridgeModel={cartridgeModel}
+          cartridgeRotation={cartridgeRotation}
+          cartridgeScale={layout.cartridge.scale}
+        />
+      )}
+
+      {/* Render one cartridge per catalog entry, in its slot or on the shelf */}
+      {cartridges.map((cartridge, index) => {
+        const { position: home, page } = getCartridgeHome(catalog, index);
+        const isInSlot = slot.current === index;
+
+        // Shelf cartridges on other pages are hidden unless they're in use
+        if (page !== null && page !== shelfPage && !isInSlot) {
+          return null;
+        }
+
+        // Where the cartridge starts and where it's headed in the current slot state
+        let initialPosition = home;
+        let targetPosition = home;
+        if (isInSlot && slot.status === SlotState.INSERTING) {
+          targetPosition = targetCartridgePosition;
+        } else if (isInSlot && slot.status === SlotState.INSERTED) {
+          initialPosition = targetCartridgePosition;
+          targetPosition = targetCartridgePosition;
+        } else if (isInSlot && slot.status === SlotState.EJECTING) {
+          initialPosition = targetCartridgePosition;
+        }
+
+        return (
+          <AnimatedCartridge
+            key={cartridge.id}
+            model={cartridgeModel}
+            onLoad={onCartridgeLoad}
+            initialPosition={initialPosition}
+            targetPosition={targetPosition}
+            isAnimating={animatingCartridgeIndex === index}
+            isInserting={isInSlot && slot.status === SlotState.INSERTING}
+            onAnimationComplete={handleAnimationComplete(index)}
+            rotation={cartridgeRotation}
+            scale={layout.cartridge.scale}
+            color={cartridge.color}
+            material={materials.cartridge}
+            cartridge={cartridge}
+            onClick={handleCartridgeClick(index)}
+            onDrop={handleCartridgeDrop(index)}
+            onDragChange={onDragChange}
+            onHoverChange={(isHovered) =>
+              onCartridgeHover(isHovered ? cartridge.id : null)
+            }
+            presence={presence.filter(
+              ({ hover }) =>
+                hover &&
+                hover.machineId === machine.id &&
+                hover.cartridgeId === cartridge.id
+            )}
+            allowInteraction={canControl}
+            isQueued={pendingCartridgeIndex === index}
+            isSelected={selectedIndex === index}
+            reducedMotion={reducedMotion}
+          />
+        );
+      })}
+
+      {/* The browser maps pointer input through the CSS 3D transform itself,
+          so hits land in the right place at any camera angle */}
+      <Html
+        position={layout.screen.position}
+        transform
+        distanceFactor={layout.screen.distanceFactor}
+        wrapperClass="firmware-iframe"
+        pointerEvents={screenPointerEvents}
+        style={{
+          pointerEvents: screenPointerEvents,
+          opacity: showsDisplay ? 0 : 1,
+          userSelect: "none",
+          backfaceVisibility: "hidden"
+        }}
+        onClick={(e) => e.stopPropagation()}
+        onPointerEnter={(e) => e.stopPropagation()}
+        onPointerLeave={(e) => e.stopPropagation()}
+      >
+        <div
+          style={{
+            position: "relative",
+            width: SCREEN_WIDTH,
+            height: SCREEN_HEIGHT,
+            borderRadius: 20,
+            boxShadow: isScreenInteractive
+              ? `0 0 0 8px ${SCREEN_ACTIVE_COLOR}`
+              : "none"
+          }}
+        >
+          {isOff && (
+            <div
+              style={{
+                position: "absolute",
+                inset: 0,
+                borderRadius: 20,
+                background: "black"
+              }}
+            />
+          )}
+          {!isOff && isFirmwareReachable && (
+            <>
+              <iframe
+                ref={iframeRef}
+                src={firmwareUrl}
+                onLoad={handleIframeLoad}
+                style={{
+                  width: SCREEN_WIDTH,
+                  height: SCREEN_HEIGHT,
+                  border: "none",
+                  borderRadius: 20,
+                  background: "transparent",
+                  backfaceVisibility: "hidden",
+                  pointerEvents: screenPointerEvents
+                }}
+                title={machine.label ? `${machine.label} screen` : "screen"}
+              />
+              <ScreenStatus status={firmwareStatus} />
+            </>
+          )}
+          {!isOff && !isFirmwareReachable && <NoSignal url={machine.baseUrl} />}
+          {power.status === PowerState.BOOTING && (
+            <BootScreen label={machine.label} />
+          )}
+          <div
+            style={{
+              position: "absolute",
+              inset: 0,
+              borderRadius: 20,
+              background: "black",
+              opacity: isAsleep ? 1 - SLEEP_BRIGHTNESS : 0,
+              transition: "opacity 1s",
+              pointerEvents: "none"
+            }}
+          />
+        </div>
+      </Html>
+
+      {showsDisplay && (
+        <ScreenDisplay
+          iframeRef={iframeRef}
+          display={screenDisplay}
+          position={layout.screen.position}
+          width={SCREEN_WIDTH * screenScale}
+          height={SCREEN_HEIGHT * screenScale}
+          captureFrame={captureScreen}
+          lightPosition={lightPosition}
+        />
+      )}
+
+      {/* The firmware's own capture of its screen, drawn in place of the
+          iframe while exporting since WebGL can't draw the iframe */}
+      {screenTexture && !display && (
+        <mesh position={layout.screen.position} raycast={() => null}>
+          <planeGeometry
+            args={[SCREEN_WIDTH * screenScale, SCREEN_HEIGHT * screenScale]}
+          />
+          <meshBasicMaterial map={screenTexture} toneMapped={false} />
+        </mesh>
+      )}
+    </group>
+  );
+}
+
+export default Machine;
@@ -0,0 +1,121 @@
+import { useEffect, useRef } from "react";
+import * as THREE from "three";
+import { useFrame, useThree } from "@react-three/fiber";
+
+import { getVideoMimeType } from "./sceneExport";
+import { useLatestApi } from "./latestApi";
+
+const VIDEO_FPS = 30;
+
+// Renders the scene at an export size and captures it. Turntables orbit the
+// target of the OrbitControls in controlsRef. Hands an API to the parent
+// through onReady:
+//   capturePng({ width, height })  -> PNG data URL
+//   recordWebm({ width, height, duration, turntable, onStart }) -> Promise<Blob>
+function SceneExporter({ onReady, controlsRef }) {
+  const { gl, scene, camera } = useThree();
+  const get = useThree((state) => state.get);
+  const recordingRef = useRef(null);
+
+  // Switch the drawing buffer to the export size and return a function
+  // that puts the canvas back the way it was
+  const resize = (width, height) => {
+    const pixelRatio = gl.getPixelRatio();
+    gl.setPixelRatio(1);
+    gl.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    return () => {
+      const { size } = get();
+      gl.setPixelRatio(pixelRatio);
+      gl.setSize(size.width, size.height, false);
+      camera.aspect = size.width / size.height;
+      camera.updateProjectionMatrix();
+    };
+  };
+
+  const capturePng = ({ width, height }) => {
+    const restore = resize(width, height);
+    gl.render(scene, camera);
+    // Read back straight after rendering, before the buffer is cleared
+    const dataUrl = gl.domElement.toDataURL("image/png");
+    restore();
+    return dataUrl;
+  };
+
+  const recordWebm = ({ width, height, duration, turntable, onStart }) =>
+    new Promise((resolve, reject) => {
+      const mimeType = getVideoMimeType();
+      if (!mimeType || !gl.domElement.captureStream) {
+        reject(new Error("This browser can't record WebM video"));
+        return;
+      }
+
+      const restore = resize(width, height);
+      const recorder = new MediaRecorder(
+        gl.domElement.captureStream(VIDEO_FPS),
+        { mimeType }
+      );
+      const chunks = [];
+      const controls = controlsRef.current;
+      const target = controls ? controls.target.clone() : new THREE.Vector3();
+      const startPosition = camera.position.clone();
+      recorder.ondataavailable = (event) => chunks.push(event.data);
+      recorder.onstop = () => {
+        camera.position.copy(startPosition);
+        if (controls) {
+          controls.update();
+        } else {
+          camera.lookAt(target);
+        }
+        restore();
+        resolve(new Blob(chunks, { type: "video/webm" }));
+      };
+
+      // A turntable orbits the target once, starting from the current viewpoint
+      const orbit = turntable
+        ? new THREE.Spherical().setFromVector3(
+            startPosition.clone().sub(target)
+          )
+        : null;
+      recordingRef.current = {
+        recorder,
+        duration,
+        elapsed: 0,
+        target,
+        orbit,
+        startTheta: orbit ? orbit.theta : 0
+      };
+      recorder.start();
+      if (onStart) onStart();
+    });
+
+  // Advance a recording in real time, so the video plays at normal speed
+  useFrame((state, delta) => {
+    const recording = recordingRef.current;
+    if (!recording) return;
+
+    recording.elapsed += delta;
+    const progress = Math.min(recording.elapsed / recording.duration, 1);
+    if (recording.orbit) {
+      recording.orbit.theta = recording.startTheta + progress * Math.PI * 2;
+      camera.position.setFromSpherical(recording.orbit).add(recording.target);
+      camera.lookAt(recording.target);
+    }
+
+    if (progress >= 1) {
+      recordingRef.current = null;
+      recording.recorder.stop();
+    }
+  });
+
+  const api = useLatestApi({ capturePng, recordWebm });
+  useEffect(() => {
+    onReady(api);
+  }, [onReady, api]);
+
+  return null;
+}
+
+export default SceneExporter;
@@ -0,0 +1,60 @@
+import React from "react";
+import { ContactShadows, Environment, Lightformer } from "@react-three/drei";
+
+import { MACHINE_SPACING } from "./machines";
+
+const GROUND_HEIGHT = -33; // Just under the bottom of the case
+const SHADOW_MARGIN = 80; // Shadows beyond the outer machines
+const GROUND_SIZE = 4000; // Out to the horizon from any allowed angle
+
+// Lights, reflections, the ground and its shadows for a scene preset. The environment is
+// rendered once from the preset's light panels, then only redone when the
+// preset changes.
+function SceneLighting({ preset, machineCount }) {
+  const { keyLight, shadows, ground } = preset;
+
+  return (
+    <>
+      <ambientLight intensity={preset.ambient} />
+      <directionalLight
+        position={keyLight.position}
+        intensity={keyLight.intensity}
+        color={keyLight.color}
+      />
+
+      <Environment key={preset.id} frames={1} resolution={256}>
+        {preset.lights.map(({ form, position, scale, intensity, color }) => (
+          <Lightformer
+            key={position.join(",")}
+            form={form}
+            position={position}
+            scale={scale}
+            intensity={intensity}
+            color={color || "#FFFFFF"}
+            target={[0, 0, 0]}
+          />
+        ))}
+      </Environment>
+
+      {/* Just below the shadows so they don't flicker against it */}
+      <mesh
+        position={[0, GROUND_HEIGHT - 0.05, 0]}
+        rotation={[-Math.PI / 2, 0, 0]}
+      >
+        <planeGeometry args={[GROUND_SIZE, GROUND_SIZE]} />
+        <meshStandardMaterial {...ground} />
+      </mesh>
+
+      <ContactShadows
+        position={[0, GROUND_HEIGHT, 0]}
+        scale={MACHINE_SPACING * (machineCount - 1) + 2 * SHADOW_MARGIN}
+        opacity={shadows.opacity}
+        blur={shadows.blur}
+        far={80}
+        resolution={512} // Redrawn every frame to follow moving cartridges
+      />
+    </>
+  );
+}
+
+export default SceneLighting;
@@ -0,0 +1,26 @@
+import React from "react";
+
+import { buttonStyle } from "./SettingsPanel";
+import { SCENE_PRESETS, setScenePreset, useScenePreset } from "./scenePresets";
+
+// Picks the lighting and materials of the scene, remembered between visits
+function ScenePresetPicker() {
+  const preset = useScenePreset();
+
+  return (
+    <select
+      style={buttonStyle}
+      value={preset.id}
+      onChange={(e) => setScenePreset(e.target.value)}
+      aria-label="Scene preset"
+    >
+      {SCENE_PRESETS.map(({ id, label }) => (
+        <option key={id} value={id}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default ScenePresetPicker;
@@ -0,0 +1,142 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import * as THREE from "three";
+import { useFrame } from "@react-three/fiber";
+
+import {
+  DisplaySource,
+  applyDisplay,
+  createDisplayMaterial,
+  findScreenCanvas
+} from "./display";
+
+const CAPTURE_INTERVAL = 250; // Pause between bridge captures (ms)
+
+const prepareTexture = (texture) => {
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.minFilter = THREE.LinearFilter; // Redone every frame, so no mipmaps
+  texture.generateMipmaps = false;
+  return texture;
+};
+
+// Texture following a canvas, directly or through a video of it
+const createCanvasSource = (canvas, isStream) => {
+  if (!isStream) {
+    const texture = prepareTexture(new THREE.CanvasTexture(canvas));
+    return { canvas, isStream, texture, dispose: () => texture.dispose() };
+  }
+
+  const stream = canvas.captureStream();
+  const video = document.createElement("video");
+  video.muted = true; // Muted video is allowed to play without a gesture
+  video.playsInline = true;
+  video.srcObject = stream;
+  video.play().catch(() => {});
+  const texture = prepareTexture(new THREE.VideoTexture(video));
+  return {
+    canvas,
+    isStream,
+    texture,
+    dispose: () => {
+      texture.dispose();
+      stream.getTracks().forEach((track) => track.stop());
+      video.srcObject = null;
+    }
+  };
+};
+
+// The firmware screen as a mesh drawn through the display emulation shader.
+// Frames come from the page in iframeRef, or from captureFrame (resolving to
+// a texture) when it has no canvas to use; see display.js. The glare follows
+// the key light at lightPosition.
+function ScreenDisplay({
+  iframeRef,
+  display,
+  position,
+  width,
+  height,
+  captureFrame,
+  lightPosition
+}) {
+  const material = useMemo(createDisplayMaterial, []);
+  useEffect(() => applyDisplay(material, display), [material, display]);
+
+  const sourcesRef = useRef({ canvas: null, capture: null });
+  const [hasCanvas, setHasCanvas] = useState(false);
+  useEffect(() => {
+    const sources = sourcesRef.current;
+    return () => {
+      if (sources.canvas) sources.canvas.dispose();
+      if (sources.capture) sources.capture.dispose();
+      material.dispose();
+    };
+  }, [material]);
+
+  const usesCanvas = display.source !== DisplaySource.CAPTURE;
+  const isStream = display.source === DisplaySource.STREAM;
+  const usesCapture =
+    display.source === DisplaySource.CAPTURE ||
+    (display.source === DisplaySource.AUTO && !hasCanvas);
+
+  // Follow the firmware page, which can swap its canvas or reload at any time
+  useFrame(({ camera }) => {
+    const sources = sourcesRef.current;
+    const canvas = usesCanvas ? findScreenCanvas(iframeRef.current) : null;
+    const current = sources.canvas;
+    if (
+      (current ? current.canvas : null) !== canvas ||
+      (current && current.isStream !== isStream)
+    ) {
+      if (current) current.dispose();
+      sources.canvas = canvas ? createCanvasSource(canvas, isStream) : null;
+      setHasCanvas(Boolean(canvas));
+    }
+
+    if (sources.canvas && !sources.canvas.isStream) {
+      sources.canvas.texture.needsUpdate = true;
+    }
+    material.uniforms.map.value = sources.canvas
+      ? sources.canvas.texture
+      : sources.capture;
+    material.uniforms.lightDirection.value
+      .fromArray(lightPosition)
+      .transformDirection(camera.matrixWorldInverse);
+  });
+
+  // Without a canvas, ask the firmware for images of its screen
+  const captureFrameRef = useRef(captureFrame);
+  useEffect(() => {
+    captureFrameRef.current = captureFrame;
+  });
+
+  useEffect(() => {
+    if (!usesCapture) return;
+
+    const sources = sourcesRef.current;
+    let cancelled = false;
+    let timer = null;
+    const capture = async () => {
+      const texture = await captureFrameRef.current();
+      if (cancelled) {
+        texture.dispose();
+        return;
+      }
+      if (sources.capture) sources.capture.dispose();
+      sources.capture = prepareTexture(texture);
+      timer = setTimeout(capture, CAPTURE_INTERVAL);
+    };
+
+    capture();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [usesCapture]);
+
+  return (
+    <mesh position={position} material={material} raycast={() => null}>
+      <planeGeometry args={[width, height]} />
+    </mesh>
+  );
+}
+
+export default ScreenDisplay;
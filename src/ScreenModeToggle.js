@@ -0,0 +1,63 @@
+import React from "react";
+
+import { buttonStyle } from "./SettingsPanel";
+
+// Outline of a screen taking input, here and around the screen itself
+export const SCREEN_ACTIVE_COLOR = "#4ECDC4";
+
+const toggleStyle = {
+  ...buttonStyle,
+  position: "absolute",
+  bottom: 16,
+  left: "50%",
+  transform: "translateX(-50%)",
+  zIndex: 1000
+};
+
+const bannerStyle = {
+  position: "absolute",
+  top: 16,
+  left: "50%",
+  transform: "translateX(-50%)",
+  zIndex: 1000,
+  display: "flex",
+  gap: 12,
+  alignItems: "center",
+  padding: "8px 8px 8px 16px",
+  color: "white",
+  background: "rgba(0, 0, 0, 0.85)",
+  border: `2px solid ${SCREEN_ACTIVE_COLOR}`,
+  borderRadius: 8,
+  fontSize: "14px",
+  whiteSpace: "nowrap"
+};
+
+// Turns screen interaction on for the focused machine, and while it's on
+// shows what's going on with a way back out
+function ScreenModeToggle({ isActive, label, onChange }) {
+  if (!isActive) {
+    return (
+      <button style={toggleStyle} onClick={() => onChange(true)}>
+        Use screen
+      </button>
+    );
+  }
+
+  return (
+    <div role="status" style={bannerStyle}>
+      <span>
+        Using the {label ? `${label} ` : ""}screen: clicks and touches go to the
+        firmware
+      </span>
+      <button
+        style={{ ...buttonStyle, color: "black", background: "white" }}
+        onClick={() => onChange(false)}
+        aria-keyshortcuts="Escape"
+      >
+        Done
+      </button>
+    </div>
+  );
+}
+
+export default ScreenModeToggle;
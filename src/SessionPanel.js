@@ -0,0 +1,234 @@
+import React, { useState } from "react";
+
+import { buttonStyle } from "./SettingsPanel";
+import {
+  SessionMessage,
+  SessionMode,
+  SessionStatus,
+  createSessionId
+} from "./session";
+
+// Below the toolbar the toggle sits in
+const panelStyle = {
+  position: "absolute",
+  top: "calc(100% + 8px)",
+  right: 0,
+  width: 320,
+  maxHeight: "calc(100vh - 88px)",
+  overflowY: "auto",
+  padding: 16,
+  zIndex: 1000,
+  display: "flex",
+  flexDirection: "column",
+  gap: 12,
+  boxSizing: "border-box",
+  color: "white",
+  background: "rgba(0, 0, 0, 0.85)",
+  borderRadius: 8,
+  fontSize: "14px"
+};
+
+const inputStyle = {
+  width: "100%",
+  boxSizing: "border-box",
+  padding: "6px 8px",
+  border: "1px solid #444444",
+  borderRadius: 4,
+  color: "white",
+  background: "#111111",
+  fontFamily: "inherit"
+};
+
+const rowStyle = { display: "flex", gap: 8, alignItems: "center" };
+const noteStyle = { color: "#FFD788" };
+
+const dotStyle = (color) => ({
+  width: 10,
+  height: 10,
+  flexShrink: 0,
+  borderRadius: 5,
+  background: color
+});
+
+const STATUS_TEXT = {
+  [SessionStatus.CONNECTING]: "Connecting...",
+  [SessionStatus.CONNECTED]: "Connected",
+  [SessionStatus.DISCONNECTED]: "Can't reach the relay, retrying"
+};
+
+// Join a shared session and see who else is in it. The host picks whether
+// guests can use the cartridges too, and can hand the host role over.
+function SessionPanel({
+  session,
+  sessionId,
+  name,
+  relayUrl,
+  isFollowingCamera,
+  onFollowCameraChange,
+  onJoin,
+  onLeave,
+  describeHover,
+  isOpen,
+  onOpenChange
+}) {
+  const [draftId, setDraftId] = useState(() => sessionId || createSessionId());
+  const [draftName, setDraftName] = useState(name);
+  const [copied, setCopied] = useState(false);
+
+  const handleJoin = (event) => {
+    event.preventDefault();
+    if (draftId.trim()) onJoin(draftId.trim(), draftName.trim());
+  };
+
+  const handleCopyLink = () => {
+    navigator.clipboard.writeText(window.location.href).then(
+      () => setCopied(true),
+      () => setCopied(false)
+    );
+  };
+
+  return (
+    <>
+      <button
+        style={buttonStyle}
+        onClick={() => onOpenChange(!isOpen)}
+        aria-expanded={isOpen}
+      >
+        {session.isConnected ? `Session (${session.peers.length})` : "Session"}
+      </button>
+
+      {isOpen && !sessionId && (
+        <form style={panelStyle} onSubmit={handleJoin}>
+          <label>
+            Your name
+            <input
+              style={inputStyle}
+              value={draftName}
+              maxLength={32}
+              onChange={(e) => setDraftName(e.target.value)}
+            />
+          </label>
+          <label>
+            Session
+            <input
+              style={inputStyle}
+              value={draftId}
+              onChange={(e) => setDraftId(e.target.value)}
+            />
+          </label>
+          <div style={{ color: "#999999" }}>Relay: {relayUrl}</div>
+          <div style={{ display: "flex", justifyContent: "flex-end" }}>
+            <button type="submit" style={buttonStyle}>
+              Join
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isOpen && sessionId && (
+        <div style={panelStyle}>
+          <div>
+            Session <strong>{sessionId}</strong>
+            <div style={session.isConnected ? null : noteStyle}>
+              {STATUS_TEXT[session.status]}
+            </div>
+          </div>
+
+          {session.isConnected && (
+            <>
+              <ul
+                style={{
+                  margin: 0,
+                  padding: 0,
+                  listStyle: "none",
+                  display: "flex",
+                  flexDirection: "column",
+                  gap: 6
+                }}
+              >
+                {session.peers.map((peer) => (
+                  <li key={peer.id} style={rowStyle}>
+                    <span style={dotStyle(peer.color)} />
+                    <span style={{ flex: 1 }}>
+                      {peer.name}
+                      {peer.id === session.clientId && " (you)"}
+                      {peer.id === session.hostId && " · host"}
+                      {peer.hover && (
+                        <span style={{ color: "#999999" }}>
+                          {" "}
+                          · {describeHover(peer.hover)}
+                        </span>
+                      )}
+                    </span>
+                    {session.isHost && peer.id !== session.clientId && (
+                      <button
+                        style={buttonStyle}
+                        onClick={() =>
+                          session.send(SessionMessage.HOST, {
+                            clientId: peer.id
+                          })
+                        }
+                      >
+                        Make host
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+
+              {session.isHost ? (
+                <label>
+                  Who controls the cartridges
+                  <select
+                    style={inputStyle}
+                    value={session.mode}
+                    onChange={(e) =>
+                      session.send(SessionMessage.MODE, {
+                        mode: e.target.value
+                      })
+                    }
+                  >
+                    <option value={SessionMode.HOST}>Only me</option>
+                    <option value={SessionMode.SHARED}>Everyone</option>
+                  </select>
+                </label>
+              ) : (
+                <div style={session.canControl ? null : noteStyle}>
+                  {session.canControl
+                    ? "Everyone can insert and eject cartridges."
+                    : "Only the host can insert and eject cartridges."}
+                </div>
+              )}
+
+              <label>
+                <input
+                  type="checkbox"
+                  checked={isFollowingCamera}
+                  onChange={(e) => onFollowCameraChange(e.target.checked)}
+                />{" "}
+                Follow the camera of whoever is in control
+              </label>
+            </>
+          )}
+
+          <div style={{ ...rowStyle, justifyContent: "flex-end" }}>
+            <button style={buttonStyle} onClick={handleCopyLink}>
+              {copied ? "Link copied" : "Copy link"}
+            </button>
+            <button
+              style={buttonStyle}
+              onClick={() => {
+                setCopied(false);
+                onLeave();
+              }}
+            >
+              Leave
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default SessionPanel;
@@ -0,0 +1,279 @@
+import React, { useState } from "react";
+
+import { FIRMWARE_PRESETS, isFirmwareUrl } from "./firmwareConfig";
+import { createMachine } from "./machines";
+
+// Below the toolbar the toggle sits in
+const panelStyle = {
+  position: "absolute",
+  top: "calc(100% + 8px)",
+  right: 0,
+  width: 320,
+  maxHeight: "calc(100vh - 88px)",
+  overflowY: "auto",
+  boxSizing: "border-box",
+  padding: 16,
+  zIndex: 1000,
+  display: "flex",
+  flexDirection: "column",
+  gap: 12,
+  color: "white",
+  background: "rgba(0, 0, 0, 0.85)",
+  borderRadius: 8,
+  fontSize: "14px"
+};
+
+const inputStyle = {
+  width: "100%",
+  boxSizing: "border-box",
+  padding: "6px 8px",
+  border: "1px solid #444444",
+  borderRadius: 4,
+  color: "white",
+  background: "#111111",
+  fontFamily: "inherit"
+};
+
+export const buttonStyle = {
+  padding: "6px 10px",
+  border: "none",
+  borderRadius: 4,
+  color: "white",
+  background: "rgba(255, 255, 255, 0.15)",
+  cursor: "pointer",
+  fontFamily: "inherit"
+};
+
+const noteStyle = { color: "#FFD788" };
+
+const errorStyle = { color: "#FF4848" };
+
+const machineStyle = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 6,
+  paddingTop: 8,
+  borderTop: "1px solid #444444"
+};
+
+// Firmware origin and API key, plus more machines to compare firmware side by
+// side. Saved by the parent when applied.
+function SettingsPanel({ settings, config, onSave, isOpen, onOpenChange }) {
+  const [baseUrl, setBaseUrl] = useState(settings.baseUrl || "");
+  const [apiKey, setApiKey] = useState(settings.apiKey || "");
+  const [machines, setMachines] = useState(() =>
+    (settings.machines || []).map((machine) => createMachine(machine))
+  );
+  const [linked, setLinked] = useState(Boolean(settings.linked));
+  const [errors, setErrors] = useState([]);
+
+  const updateMachine = (id, changes) =>
+    setMachines((prev) =>
+      prev.map((machine) =>
+        machine.id === id ? { ...machine, ...changes } : machine
+      )
+    );
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    // Machines without a firmware URL are left out
+    const savedMachines = machines
+      .map((machine) => ({
+        ...machine,
+        label: machine.label.trim(),
+        baseUrl: machine.baseUrl.trim(),
+        manifestUrl: machine.manifestUrl.trim()
+      }))
+      .filter((machine) => machine.baseUrl);
+
+    // Nothing is saved until every URL can be loaded
+    const problems = [];
+    if (baseUrl.trim() && !isFirmwareUrl(baseUrl)) {
+      problems.push("Firmware URL must be an http(s) URL");
+    }
+    machines.forEach((machine, index) => {
+      if (machine.baseUrl.trim() && !isFirmwareUrl(machine.baseUrl)) {
+        problems.push(
+          `Machine ${index + 2} firmware URL must be an http(s) URL`
+        );
+      }
+    });
+    setErrors(problems);
+    if (problems.length > 0) return;
+
+    onSave({
+      baseUrl: baseUrl.trim(),
+      apiKey: apiKey.trim(),
+      machines: savedMachines,
+      linked
+    });
+    onOpenChange(false);
+  };
+
+  return (
+    <>
+      <button
+        style={buttonStyle}
+        onClick={() => onOpenChange(!isOpen)}
+        aria-expanded={isOpen}
+      >
+        Settings
+      </button>
+
+      {isOpen && (
+        <form style={panelStyle} onSubmit={handleSubmit}>
+          <label>
+            Firmware URL
+            <input
+              style={inputStyle}
+              value={baseUrl}
+              placeholder={config.baseUrl}
+              onChange={(e) => setBaseUrl(e.target.value)}
+            />
+          </label>
+          <div style={{ display: "flex", gap: 8 }}>
+            {FIRMWARE_PRESETS.map((preset) => (
+              <button
+                key={preset.label}
+                type="button"
+                style={buttonStyle}
+                onClick={() => setBaseUrl(preset.url)}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+          {config.baseUrlFromQuery && (
+            <div style={noteStyle}>
+              The ?firmware= query param overrides this setting.
+            </div>
+          )}
+
+          <label>
+            API key
+            <input
+              style={inputStyle}
+              value={apiKey}
+              placeholder={config.apiKey}
+              onChange={(e) => setApiKey(e.target.value)}
+            />
+          </label>
+          {config.apiKeyFromQuery && (
+            <div style={noteStyle}>
+              The ?fccApiKey= query param overrides this setting.
+            </div>
+          )}
+
+          {machines.map((machine, index) => (
+            <div key={machine.id} style={machineStyle}>
+              <input
+                style={inputStyle}
+                aria-label={`Machine ${index + 2} name`}
+                value={machine.label}
+                placeholder={`Machine ${index + 2}`}
+                onChange={(e) =>
+                  updateMachine(machine.id, { label: e.target.value })
+                }
+              />
+              <input
+                style={inputStyle}
+                aria-label={`Machine ${index + 2} firmware URL`}
+                value={machine.baseUrl}
+                placeholder="Firmware URL"
+                onChange={(e) =>
+                  updateMachine(machine.id, { baseUrl: e.target.value })
+                }
+              />
+              <input
+                style={inputStyle}
+                aria-label={`Machine ${index + 2} cartridge manifest`}
+                value={machine.manifestUrl}
+                placeholder="Cartridge manifest (same as main)"
+                onChange={(e) =>
+                  updateMachine(machine.id, { manifestUrl: e.target.value })
+                }
+              />
+              <div style={{ display: "flex", gap: 8 }}>
+                {FIRMWARE_PRESETS.map((preset) => (
+                  <button
+                    key={preset.label}
+                    type="button"
+                    style={buttonStyle}
+                    onClick={() =>
+                      updateMachine(machine.id, { baseUrl: preset.url })
+                    }
+                  >
+                    {preset.label}
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  style={{ ...buttonStyle, marginLeft: "auto" }}
+                  aria-label={`Remove machine ${index + 2}`}
+                  onClick={() =>
+                    setMachines((prev) =>
+                      prev.filter(({ id }) => id !== machine.id)
+                    )
+                  }
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+          ))}
+          <button
+            type="button"
+            style={{ ...buttonStyle, alignSelf: "flex-start" }}
+            onClick={() => setMachines((prev) => [...prev, createMachine()])}
+          >
+            Add machine to compare
+          </button>
+          {machines.length > 0 && (
+            <label>
+              <input
+                type="checkbox"
+                checked={linked}
+                onChange={(e) => setLinked(e.target.checked)}
+              />{" "}
+              Link cartridges between machines
+            </label>
+          )}
+          {config.machinesFromQuery && (
+            <div style={noteStyle}>
+              The ?machines= query param overrides these machines.
+            </div>
+          )}
+
+          {errors.length > 0 && (
+            <div role="alert" style={errorStyle}>
+              {errors.map((error) => (
+                <div key={error}>{error}</div>
+              ))}
+            </div>
+          )}
+
+          <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+            <button
+              type="button"
+              style={buttonStyle}
+              onClick={() => {
+                setBaseUrl("");
+                setApiKey("");
+                setMachines([]);
+                setLinked(false);
+                setErrors([]);
+              }}
+            >
+              Use defaults
+            </button>
+            <button type="submit" style={buttonStyle}>
+              Apply
+            </button>
+          </div>
+        </form>
+      )}
+    </>
+  );
+}
+
+export default SettingsPanel;
@@ -0,0 +1,115 @@
+import React, { useMemo } from "react";
+import { Html } from "@react-three/drei";
+
+import { getModelBounds, useModelGeometry } from "./models";
+
+const PADDING = 2;
+
+const buttonStyle = {
+  width: 32,
+  height: 32,
+  border: "none",
+  borderRadius: 16,
+  background: "rgba(255, 255, 255, 0.15)",
+  color: "white",
+  fontSize: "18px",
+  cursor: "pointer"
+};
+
+// Rack next to the case holding the cartridges that don't fit in a slot, sized
+// around the cartridge model as drawn with rotation and scale
+function Shelf({
+  shelf,
+  page,
+  pageCount,
+  onPageChange,
+  cartridgeModel,
+  cartridgeRotation,
+  cartridgeScale
+}) {
+  const { origin, rows, spacing } = shelf;
+
+  // Cartridge extents relative to its position
+  const geometry = useModelGeometry(cartridgeModel);
+  const bounds = useMemo(
+    () =>
+      geometry
+        ? getModelBounds(geometry, cartridgeRotation, cartridgeScale)
+        : null,
+    [geometry, cartridgeRotation, cartridgeScale]
+  );
+
+  if (!bounds) {
+    return null;
+  }
+
+  const min = bounds.min.toArray();
+  const max = bounds.max.toArray();
+  const width = max[0] - min[0] + PADDING * 2;
+  const depth = max[2] - min[2] + PADDING;
+  const centerX = origin[0] + (min[0] + max[0]) / 2;
+  const top = origin[1] + max[1] + PADDING;
+  const bottom = origin[1] - (rows - 1) * spacing + min[1] - PADDING;
+  const back = origin[2] + min[2] - 1;
+
+  return (
+    <group>
+      {/* Back board */}
+      <mesh position={[centerX, (top + bottom) / 2, back]}>
+        <boxGeometry args={[width, top - bottom, 1]} />
+        <meshStandardMaterial color="#333333" roughness={0.8} />
+      </mesh>
+
+      {/* One ledge under each row */}
+      {Array.from({ length: rows }, (_, row) => (
+        <mesh
+          key={row}
+          position={[
+            centerX,
+            origin[1] - row * spacing + min[1] - 0.5,
+            back + depth / 2
+          ]}
+        >
+          <boxGeometry args={[width, 1, depth]} />
+          <meshStandardMaterial color="#444444" roughness={0.8} />
+        </mesh>
+      ))}
+
+      {pageCount > 1 && (
+        <Html position={[centerX, bottom - 6, origin[2]]} center>
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 12,
+              color: "white",
+              fontSize: "14px",
+              whiteSpace: "nowrap",
+              userSelect: "none"
+            }}
+          >
+            <button
+              style={buttonStyle}
+              disabled={page === 0}
+              onClick={() => onPageChange(page - 1)}
+              aria-label="Previous shelf page"
+            >
+              ‹
+            </button>
+            {page + 1} / {pageCount}
+            <button
+              style={buttonStyle}
+              disabled={page === pageCount - 1}
+              onClick={() => onPageChange(page + 1)}
+              aria-label="Next shelf page"
+            >
+              ›
+            </button>
+          </div>
+        </Html>
+      )}
+    </group>
+  );
+}
+
+export default Shelf;
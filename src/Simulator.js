@@ -1,697 +1,1316 @@
-import React, { useRef, useState, useEffect } from "react";
-import { Canvas, useFrame, useThree } from "@react-three/fiber";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useReducer,
+  useRef,
+  useState
+} from "react";
+import { Canvas } from "@react-three/fiber";
 import { OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
-import { Html } from "@react-three/drei";
 
-import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
-
-// Camera reset animation component
-function CameraResetAnimation({ isAnimating, onComplete }) {
-  const { camera } = useThree();
-  const targetPosition = useRef(
-    new THREE.Vector3(0, 0, window.innerWidth <= 768 ? 300 : 100)
+import Machine from "./Machine";
+
+import {
+  getCartridgeHome,
+  getManifestUrl,
+  getShelfPageCount,
+  loadCartridgeManifest,
+  withCalibration
+} from "./cartridges";
+import {
+  DEFAULT_CALIBRATION,
+  getCalibrationUrl,
+  getTargetPosition,
+  loadCalibration,
+  loadCalibrationOverrides,
+  parseCalibration,
+  saveCalibrationOverrides,
+  setTargetPosition,
+  toRadians
+} from "./calibration";
+import { getModelSource } from "./models";
+import { isDisplayEnabled } from "./display";
+import CalibrationPanel from "./CalibrationPanel";
+import CalibrationGizmo from "./CalibrationGizmo";
+import LoadingOverlay from "./LoadingOverlay";
+import ExportPanel from "./ExportPanel";
+import SoundToggle from "./SoundToggle";
+import ScenePresetPicker from "./ScenePresetPicker";
+import SceneLighting from "./SceneLighting";
+import { useScenePreset } from "./scenePresets";
+import KioskOrbit from "./KioskOrbit";
+import ScreenModeToggle from "./ScreenModeToggle";
+import CameraTransition from "./CameraTransition";
+import ViewpointBar from "./ViewpointBar";
+import { getOrbitLimits, getViewpointMove } from "./cameraViews";
+import {
+  readKioskConfig,
+  resolvePlaylist,
+  useIdlePause,
+  useKioskScreen
+} from "./kiosk";
+import SceneExporter from "./SceneExporter";
+import {
+  ExportFormat,
+  VideoMode,
+  SCREEN_HEIGHT,
+  SCREEN_WIDTH,
+  downloadFile,
+  publishExportResult,
+  readExportRequest
+} from "./sceneExport";
+import SettingsPanel from "./SettingsPanel";
+import SessionPanel from "./SessionPanel";
+import {
+  SessionMessage,
+  getRelayUrl,
+  getSessionId,
+  loadSessionName,
+  saveSessionName,
+  useSession
+} from "./session";
+import DesignerPanel from "./DesignerPanel";
+import CartridgeList from "./CartridgeList";
+import {
+  addCartridgeDesigns,
+  loadCartridgeDesigns,
+  mergeCartridgeDesigns,
+  saveCartridgeDesigns
+} from "./cartridgeDesigns";
+import { isInteractiveTarget, usePrefersReducedMotion } from "./accessibility";
+import {
+  loadFirmwareSettings,
+  resolveFirmwareConfig,
+  saveFirmwareSettings
+} from "./firmwareConfig";
+import {
+  MAIN_MACHINE_ID,
+  getMachineOffset,
+  machinesFromQuery,
+  resolveLinked,
+  resolveMachines
+} from "./machines";
+import {
+  SlotEvent,
+  SlotState,
+  getActiveIndex,
+  getMachineSlot,
+  getTargetIndex,
+  machineSlotsReducer,
+  slotReducer
+} from "./slotMachine";
+import {
+  applyCameraState,
+  getCameraParam,
+  parseCamera,
+  readUrlState,
+  writeUrlState
+} from "./urlState";
+
+const EXPORT_FIRMWARE_TIMEOUT = 10000; // Longest a scripted export waits for the firmware (ms)
+const CAMERA_SHARE_INTERVAL = 100; // Fastest the camera is sent to a shared session (ms)
+
+// Buttons along the top right, side by side however wide their labels are.
+// Their panels open below it.
+const toolbarStyle = {
+  position: "absolute",
+  top: 16,
+  right: 16,
+  zIndex: 1000,
+  display: "flex",
+  gap: 8,
+  alignItems: "center"
+};
+
+// Resolves after the next two frames, once React's changes have been drawn
+const nextFrame = () =>
+  new Promise((resolve) =>
+    requestAnimationFrame(() => requestAnimationFrame(resolve))
   );
-  const targetRotation = useRef(new THREE.Euler(0, 0, 0));
-  const startPosition = useRef(new THREE.Vector3());
-  const startRotation = useRef(new THREE.Euler());
-  const animationProgress = useRef(0);
 
-  useEffect(() => {
-    if (isAnimating) {
-      // Store starting position and rotation
-      startPosition.current.copy(camera.position);
-      startRotation.current.copy(camera.rotation);
-      animationProgress.current = 0;
-    }
-  }, [isAnimating, camera]);
-
-  useFrame(() => {
-    if (isAnimating) {
-      const speed = 0.025; // Slower animation speed for smoother movement
-      animationProgress.current += speed;
-
-      if (animationProgress.current >= 1) {
-        // Animation complete
-        camera.position.copy(targetPosition.current);
-        camera.rotation.copy(targetRotation.current);
-        animationProgress.current = 1;
-        onComplete();
-      } else {
-        // Smooth interpolation
-        const t = animationProgress.current;
+// A machine's manifest cartridges followed by the designs, in the calibrated slots
+const buildCatalog = (manifest, designs, calibration) =>
+  manifest && manifest.catalog && calibration
+    ? withCalibration(
+        addCartridgeDesigns(manifest.catalog, designs),
+        calibration
+      )
+    : null;
 
-        camera.position.lerpVectors(
-          startPosition.current,
-          targetPosition.current,
-          t
-        );
-        camera.rotation.x = THREE.MathUtils.lerp(
-          startRotation.current.x,
-          targetRotation.current.x,
-          t
-        );
-        camera.rotation.y = THREE.MathUtils.lerp(
-          startRotation.current.y,
-          targetRotation.current.y,
-          t
-        );
-        camera.rotation.z = THREE.MathUtils.lerp(
-          startRotation.current.z,
-          targetRotation.current.z,
-          t
-        );
-      }
-    }
-  });
+function Simulator() {
+  const [caseLoaded, setCaseLoaded] = useState(false);
+  const [cartridgeLoaded, setCartridgeLoaded] = useState(false);
+  const [opacity, setOpacity] = useState(0);
 
-  return null;
-}
+  // Firmware origin and API key from query params, settings, env or defaults,
+  // and any machines set up next to the main one to compare firmware
+  const [firmwareSettings, setFirmwareSettings] =
+    useState(loadFirmwareSettings);
+  const { firmwareConfig, machines } = useMemo(() => {
+    const config = resolveFirmwareConfig(firmwareSettings);
+    return {
+      firmwareConfig: { ...config, machinesFromQuery: machinesFromQuery() },
+      machines: resolveMachines(firmwareSettings, config, getManifestUrl())
+    };
+  }, [firmwareSettings]);
+  const isLinked = machines.length > 1 && resolveLinked(firmwareSettings);
 
-function STLModel({
-  url,
-  onLoad,
-  position,
-  rotation,
-  scale,
-  color,
-  onClick,
-  onPointerEnter,
-  onPointerLeave
-}) {
-  const meshRef = useRef();
-  const [geometry, setGeometry] = useState(null);
+  const handleFirmwareSettingsSave = (settings) => {
+    saveFirmwareSettings(settings);
+    setFirmwareSettings(settings);
+  };
 
-  useEffect(() => {
-    const loader = new STLLoader();
-    loader.load(url, (geometry) => {
-      geometry.computeVertexNormals();
-      setGeometry(geometry);
-      onLoad(); // Notify parent that STL is loaded
-    });
-  }, [url, onLoad]);
+  // Keyboard, the accessible list, the designer, exports and the URL act on
+  // the focused machine, which is the last one interacted with
+  const [focusedMachineId, setFocusedMachineId] = useState(MAIN_MACHINE_ID);
+  const focusedMachine =
+    machines.find(({ id }) => id === focusedMachineId) || machines[0];
 
-  if (!geometry) {
-    return null;
-  }
+  // Machine whose screen takes clicks and touches instead of the camera, if any
+  const [interactiveScreenId, setInteractiveScreenId] = useState(null);
+  const interactiveMachine =
+    machines.find(({ id }) => id === interactiveScreenId) || null;
 
-  return (
-    <mesh
-      ref={meshRef}
-      geometry={geometry}
-      rotation={rotation || [Math.PI / 2, Math.PI, Math.PI]}
-      position={position || [-10.8, 0, 0]}
-      scale={scale || [0.4, 0.4, 0.4]}
-      onClick={onClick}
-      onPointerEnter={onPointerEnter}
-      onPointerLeave={onPointerLeave}
-      style={{ cursor: onClick ? "pointer" : "default" }}
-    >
-      <meshStandardMaterial
-        color={color || "#ffffff"}
-        metalness={0.8}
-        roughness={0.2}
-      />
-    </mesh>
+  // What each machine's top slot is doing, see slotMachine.js for the transitions
+  const [slots, dispatchSlots] = useReducer(machineSlotsReducer, {});
+  const slot = getMachineSlot(slots, focusedMachine.id);
+  const activeCartridgeIndex = getActiveIndex(slot);
+  const pendingCartridgeIndex = slot.queued;
+
+  // Ref for OrbitControls
+  const controlsRef = useRef();
+
+  // Camera transition under way, to a viewpoint or back to the default view,
+  // and how far back the camera sits to fit every machine
+  const [cameraMove, setCameraMove] = useState(null);
+  const viewDistance = (window.innerWidth <= 768 ? 300 : 100) * machines.length;
+
+  // Cartridge catalogs loaded from each machine's manifest, keyed by URL,
+  // followed by the user's own designs
+  const [manifests, setManifests] = useState({});
+  const [designs, setDesigns] = useState(loadCartridgeDesigns);
+
+  // Placement of the case, cartridges, slots and screen: the calibration file
+  // with any adjustments from the calibration panel on top
+  const [calibrationFile, setCalibrationFile] = useState(null);
+  const [calibrationErrors, setCalibrationErrors] = useState([]);
+  const [calibrationOverrides, setCalibrationOverrides] = useState(
+    loadCalibrationOverrides
   );
-}
+  const calibration = useMemo(() => {
+    if (!calibrationFile) return null;
+    return calibrationOverrides
+      ? parseCalibration(calibrationOverrides, calibrationFile).calibration
+      : calibrationFile;
+  }, [calibrationFile, calibrationOverrides]);
+  // Only one panel is open at a time, so they can share a corner
+  const [openPanel, setOpenPanel] = useState(null);
+  const isCalibrating = openPanel === "calibration";
+  const getPanelProps = (id) => ({
+    isOpen: openPanel === id,
+    onOpenChange: (isOpen) => setOpenPanel(isOpen ? id : null)
+  });
+  const [calibrationTarget, setCalibrationTarget] = useState("case");
+  // Models dropped on the calibration panel, until the page is reloaded
+  const [modelFiles, setModelFiles] = useState({
+    case: null,
+    cartridge: null
+  });
 
-// New animated cartridge component
-function AnimatedCartridge({
-  url,
-  onLoad,
-  initialPosition,
-  targetPosition,
-  isAnimating,
-  onAnimationComplete,
-  rotation,
-  scale,
-  color,
-  onClick,
-  allowInteraction = true
-}) {
-  const meshRef = useRef();
-  const [geometry, setGeometry] = useState(null);
-  const [currentPosition, setCurrentPosition] = useState(initialPosition);
-  const [animationPhase, setAnimationPhase] = useState(0); // 0: lift up, 1: move Y, 2: drop down
-  const [isHovered, setIsHovered] = useState(false);
-  const [isHoverTransitioning, setIsHoverTransitioning] = useState(false);
-  const [isPressed, setIsPressed] = useState(false);
+  // Each machine's catalog, null until its manifest and the calibration are in
+  const catalogs = useMemo(
+    () =>
+      Object.fromEntries(
+        machines.map(({ id, manifestUrl }) => [
+          id,
+          buildCatalog(manifests[manifestUrl], designs, calibration)
+        ])
+      ),
+    [machines, manifests, designs, calibration]
+  );
+  const catalog = catalogs[focusedMachine.id];
 
   useEffect(() => {
-    const loader = new STLLoader();
-    loader.load(url, (geometry) => {
-      geometry.computeVertexNormals();
-      setGeometry(geometry);
-      onLoad(); // Notify parent that STL is loaded
+    let cancelled = false;
+    loadCalibration(getCalibrationUrl()).then(({ calibration, errors }) => {
+      if (cancelled) return;
+      setCalibrationFile(calibration);
+      setCalibrationErrors(errors);
     });
-  }, [url, onLoad]);
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
-  useEffect(() => {
-    // Reset animation phase when starting new animation
-    if (isAnimating) {
-      setAnimationPhase(0);
-    }
-  }, [isAnimating]);
+  const handleCalibrationChange = (next) => {
+    saveCalibrationOverrides(next);
+    setCalibrationOverrides(next);
+  };
+
+  const handleCalibrationReset = () => {
+    saveCalibrationOverrides(null);
+    setCalibrationOverrides(null);
+  };
 
-  // Synchronize currentPosition with initialPosition when not animating and not hovering
-  // But only when the initialPosition prop actually changes (not during hover transitions)
+  const handleModelFile = (part, file) => {
+    setModelFiles((prev) => {
+      if (prev[part]) URL.revokeObjectURL(prev[part].url);
+      return { ...prev, [part]: file };
+    });
+  };
+
+  const layout = calibration || DEFAULT_CALIBRATION;
+  const caseModel = modelFiles.case || getModelSource(layout.case.model);
+  const cartridgeModel =
+    modelFiles.cartridge || getModelSource(layout.cartridge.model);
+  const caseRotation = useMemo(
+    () => toRadians(layout.case.rotation),
+    [layout.case.rotation]
+  );
+  const cartridgeRotation = useMemo(
+    () => toRadians(layout.cartridge.rotation),
+    [layout.cartridge.rotation]
+  );
+  const display = isDisplayEnabled(layout.display) ? layout.display : null;
+
+  // Cartridge picked with the arrow keys or focused in the accessible list
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const scenePreset = useScenePreset();
+
+  // Currently shown page of each machine's off-case shelf
+  const [shelfPages, setShelfPages] = useState({});
+  const setMachineShelfPage = (machineId, page) =>
+    setShelfPages((prev) => ({ ...prev, [machineId]: page }));
+  const setShelfPage = (page) => setMachineShelfPage(focusedMachine.id, page);
+
+  // Load every manifest in use once
+  const manifestUrls = [
+    ...new Set(machines.map(({ manifestUrl }) => manifestUrl))
+  ];
+  const manifestUrlsKey = manifestUrls.join("\n");
   useEffect(() => {
-    if (!isAnimating && !isHovered && !isHoverTransitioning && !isPressed) {
-      const currentVec = new THREE.Vector3(...currentPosition);
-      const initialVec = new THREE.Vector3(...initialPosition);
-      const distance = currentVec.distanceTo(initialVec);
-
-      // Only sync if positions are very significantly different (larger threshold)
-      // to avoid interfering with smooth hover out animations
-      if (distance > 0.5) {
-        setCurrentPosition(initialPosition);
-      }
+    let cancelled = false;
+    manifestUrlsKey.split("\n").forEach((url) => {
+      loadCartridgeManifest(url)
+        .then((result) => {
+          if (cancelled) return;
+          setManifests((prev) => ({ ...prev, [url]: { catalog: result } }));
+        })
+        .catch((error) => {
+          if (cancelled) return;
+          setManifests((prev) => ({
+            ...prev,
+            [url]: { error: error.message }
+          }));
+        });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [manifestUrlsKey]);
+
+  // The main manifest failing leaves nothing to show; other machines just stay empty
+  const getManifestError = (url) =>
+    manifests[url] ? manifests[url].error || null : null;
+  const manifestError = getManifestError(machines[0].manifestUrl);
+  const machineErrors = machines
+    .slice(1)
+    .filter(({ manifestUrl }) => getManifestError(manifestUrl))
+    .map(
+      ({ label, manifestUrl }) => `${label}: ${getManifestError(manifestUrl)}`
+    );
+
+  const cartridges = catalog ? catalog.cartridges : [];
+
+  // Tell the rest of a shared session which cartridge a machine is heading for
+  const shareSlot = (machineId, cartridgeId) => {
+    if (session.isConnected && session.canControl) {
+      session.send(SessionMessage.SLOT, { machineId, cartridgeId });
     }
-  }, [
-    initialPosition,
-    isAnimating,
-    isHovered,
-    isHoverTransitioning,
-    isPressed,
-    currentPosition
-  ]);
-
-  // Update cursor when allowInteraction changes while element is hovered
-  useEffect(() => {
-    if (isHovered) {
-      if (allowInteraction) {
-        document.body.style.cursor = onClick ? "pointer" : "default";
+  };
+
+  // Send a slot event to a machine. Linked machines follow along: they insert
+  // whichever cartridge (matched by id) it ends up heading for, or eject. The
+  // rest of a shared session follows too, unless the event came from there.
+  const dispatchSlot = (machineId, event, { isRemote = false } = {}) => {
+    dispatchSlots({ machineId, ...event });
+    if (!catalogs[machineId]) return;
+
+    const target = getTargetIndex(
+      slotReducer(getMachineSlot(slots, machineId), event)
+    );
+    const cartridgeId =
+      target !== null ? catalogs[machineId].cartridges[target].id : null;
+    if (!isRemote) shareSlot(machineId, cartridgeId);
+    if (!isLinked) return;
+
+    machines.forEach(({ id }) => {
+      if (id === machineId || !catalogs[id]) return;
+      const index = catalogs[id].cartridges.findIndex(
+        (cartridge) => cartridge.id === cartridgeId
+      );
+      if (index === -1) {
+        dispatchSlots({ machineId: id, type: SlotEvent.EJECT });
       } else {
-        document.body.style.cursor = "not-allowed";
+        dispatchSlots({
+          machineId: id,
+          type:
+            event.type === SlotEvent.RESTORE
+              ? SlotEvent.RESTORE
+              : SlotEvent.INSERT,
+          index
+        });
       }
-    }
-  }, [allowInteraction, isHovered, onClick]);
+      if (!isRemote) shareSlot(id, index === -1 ? null : cartridgeId);
+    });
+  };
 
-  // Reset hover states when animation starts to prevent cursor getting stuck
-  useEffect(() => {
-    if (isAnimating) {
-      setIsHovered(false);
-      setIsHoverTransitioning(false);
-      setIsPressed(false);
-      document.body.style.cursor = "default";
+  // Insert, eject or swap in a cartridge, as if it had been clicked
+  const selectCartridge = (index) => {
+    if (!session.canControl) return;
+    dispatchSlot(focusedMachine.id, { type: SlotEvent.SELECT, index });
+  };
+
+  // Eject whatever is in the slot and forget any queued swap
+  const ejectActiveCartridge = () => {
+    if (!session.canControl) return;
+    dispatchSlot(focusedMachine.id, { type: SlotEvent.EJECT });
+  };
+
+  // Interacting with another machine moves the keyboard over to it
+  const focusMachine = (machineId) => {
+    if (machineId === focusedMachine.id) return;
+    setFocusedMachineId(machineId);
+    setSelectedIndex(null);
+  };
+
+  // Designer panel: saving or importing adds designs to the scene and shows the first one
+  const handleDesignsSave = (saved) => {
+    if (saved.length === 0) return;
+    const nextDesigns = mergeCartridgeDesigns(designs, saved);
+    saveCartridgeDesigns(nextDesigns);
+    setDesigns(nextDesigns);
+
+    const nextCatalog = buildCatalog(
+      manifests[focusedMachine.manifestUrl],
+      nextDesigns,
+      calibration
+    );
+    const index = nextCatalog
+      ? nextCatalog.cartridges.findIndex(({ id }) => id === saved[0].id)
+      : -1;
+    if (index !== -1) {
+      setSelectedIndex(index);
+      const { page } = getCartridgeHome(nextCatalog, index);
+      if (page !== null) {
+        setShelfPage(page);
+      }
     }
-  }, [isAnimating]);
-
-  useFrame(() => {
-    if (isAnimating) {
-      const speed = 0.08; // Animation speed
-      const current = new THREE.Vector3(...currentPosition);
-
-      if (animationPhase === 0) {
-        // Phase 1: Lift up Z to 20
-        const liftTarget = new THREE.Vector3(
-          initialPosition[0],
-          initialPosition[1],
-          20
-        );
-        current.lerp(liftTarget, speed);
-
-        const distance = current.distanceTo(liftTarget);
-        if (distance < 0.1) {
-          setCurrentPosition([current.x, current.y, 20]);
-          setAnimationPhase(1);
-        } else {
-          setCurrentPosition([current.x, current.y, current.z]);
-        }
-      } else if (animationPhase === 1) {
-        // Phase 2: Move Y position (while keeping Z at 20)
-        const moveTarget = new THREE.Vector3(
-          targetPosition[0],
-          targetPosition[1],
-          20
-        );
-        current.lerp(moveTarget, speed);
-
-        const distance = current.distanceTo(moveTarget);
-        if (distance < 0.1) {
-          setCurrentPosition([targetPosition[0], targetPosition[1], 20]);
-          setAnimationPhase(2);
-        } else {
-          setCurrentPosition([current.x, current.y, current.z]);
-        }
-      } else if (animationPhase === 2) {
-        // Phase 3: Drop down Z to final position
-        const dropTarget = new THREE.Vector3(...targetPosition);
-        current.lerp(dropTarget, speed);
-
-        const distance = current.distanceTo(dropTarget);
-        if (distance < 0.1) {
-          setCurrentPosition(targetPosition);
-          setAnimationPhase(0);
-          onAnimationComplete();
-        } else {
-          setCurrentPosition([current.x, current.y, current.z]);
-        }
+  };
+
+  // Designs are in every machine, so each one loses it
+  const handleDesignDelete = (id) => {
+    const nextDesigns = designs.filter((design) => design.id !== id);
+    saveCartridgeDesigns(nextDesigns);
+    setDesigns(nextDesigns);
+
+    machines.forEach((machine) => {
+      const machineCatalog = catalogs[machine.id];
+      const index = machineCatalog
+        ? machineCatalog.cartridges.findIndex(
+            (cartridge) => cartridge.id === id
+          )
+        : -1;
+      if (index === -1) return;
+
+      // Later cartridges move up one place
+      dispatchSlots({ machineId: machine.id, type: SlotEvent.REMOVE, index });
+      if (machine.id === focusedMachine.id) {
+        setSelectedIndex((prev) => {
+          if (prev === null || prev < index) return prev;
+          return prev === index ? null : prev - 1;
+        });
       }
-    } else if (isPressed) {
-      // Press animation
-      const speed = 0.25; // Fast press animation
-      const current = new THREE.Vector3(...currentPosition);
-      const basePosition = new THREE.Vector3(...initialPosition);
-      const pressTarget = new THREE.Vector3(
-        basePosition.x,
-        basePosition.y,
-        basePosition.z + 20
+      const pageCount = getShelfPageCount(
+        buildCatalog(manifests[machine.manifestUrl], nextDesigns, calibration)
       );
+      setShelfPages((prev) => ({
+        ...prev,
+        [machine.id]: Math.max(
+          0,
+          Math.min(prev[machine.id] || 0, pageCount - 1)
+        )
+      }));
+    });
+  };
 
-      current.lerp(pressTarget, speed);
-      setCurrentPosition([current.x, current.y, current.z]);
-    } else if (isHovered) {
-      // Hover animation
-      const speed = 0.15; // Faster hover animation
-      const current = new THREE.Vector3(...currentPosition);
-      const basePosition = new THREE.Vector3(...initialPosition);
-      const hoverTarget = new THREE.Vector3(
-        basePosition.x,
-        basePosition.y,
-        basePosition.z + 4
-      );
+  const handleDesignInsert = (id) => {
+    const index = cartridges.findIndex((cartridge) => cartridge.id === id);
+    if (index !== -1) {
+      changeSelection(index);
+      selectCartridge(index);
+    }
+  };
 
-      current.lerp(hoverTarget, speed);
-      setCurrentPosition([current.x, current.y, current.z]);
-    } else if (isHoverTransitioning) {
-      // Hover out - smoothly return to base position
-      const speed = 0.15; // Faster hover animation
-      const current = new THREE.Vector3(...currentPosition);
-      const baseTarget = new THREE.Vector3(...initialPosition);
-
-      current.lerp(baseTarget, speed);
-      setCurrentPosition([current.x, current.y, current.z]);
-
-      // Check if we've reached the target position
-      const distance = current.distanceTo(baseTarget);
-      if (distance < 0.01) {
-        setIsHoverTransitioning(false);
-      }
+  // Orbiting would fight with dragging a cartridge or holding a case control, so pause it meanwhile
+  const handleDragChange = (isDragging) => {
+    if (controlsRef.current) {
+      controlsRef.current.enabled = !isDragging && !interactiveMachine;
     }
-  });
+  };
 
-  if (!geometry) {
-    return null;
-  }
+  // The camera holds still while a screen is being used
+  useEffect(() => {
+    if (controlsRef.current) {
+      controlsRef.current.enabled = !interactiveMachine;
+    }
+  }, [interactiveMachine]);
 
-  return (
-    <mesh
-      ref={meshRef}
-      geometry={geometry}
-      rotation={rotation || [Math.PI / 2, Math.PI, Math.PI]}
-      position={currentPosition}
-      scale={scale || [0.4, 0.4, 0.4]}
-      onClick={(e) => {
-        // Clear hover and pressed states when clicking to avoid stale states after position change
-        setIsHovered(false);
-        setIsHoverTransitioning(false);
-        setIsPressed(false);
-        // Call the original onClick handler
-        if (onClick) onClick(e);
-      }}
-      onPointerDown={(e) => {
-        e.stopPropagation();
-        if (allowInteraction) {
-          setIsPressed(true);
-        }
-      }}
-      onPointerUp={(e) => {
-        e.stopPropagation();
-        if (allowInteraction) {
-          setIsPressed(false);
-        }
-      }}
-      onPointerEnter={(e) => {
-        e.stopPropagation();
-        if (allowInteraction) {
-          setIsHovered(true);
-          setIsHoverTransitioning(true);
-          document.body.style.cursor = onClick ? "pointer" : "default";
-        } else {
-          document.body.style.cursor = "not-allowed";
-        }
-      }}
-      onPointerLeave={(e) => {
-        e.stopPropagation();
-        if (allowInteraction) {
-          setIsHovered(false);
-          setIsPressed(false); // Clear pressed state when leaving
-          // Keep transitioning true until animation completes
-        }
-        document.body.style.cursor = "default";
-      }}
-    >
-      <meshStandardMaterial
-        color={color || "#ffffff"}
-        metalness={0.2}
-        roughness={0.5}
-      />
-    </mesh>
+  // The wheel turns an encoder instead of zooming while the pointer rests on it
+  const handleZoomLockChange = (isLocked) => {
+    if (controlsRef.current) {
+      controlsRef.current.enableZoom = !isLocked;
+    }
+  };
+
+  // Handle cartridge loaded - only set to true once
+  const handleCartridgeLoaded = () => {
+    if (!cartridgeLoaded) {
+      setCartridgeLoaded(true);
+    }
+  };
+
+  // Check if all assets are loaded (an empty catalog has no cartridge to wait for).
+  // Machines whose manifest failed don't hold up the rest.
+  const hasCartridges = machines.some(
+    ({ id }) => catalogs[id] && catalogs[id].cartridges.length > 0
   );
-}
+  const allLoaded =
+    catalogs[MAIN_MACHINE_ID] !== null &&
+    machines.every(
+      ({ id, manifestUrl }) =>
+        catalogs[id] !== null || getManifestError(manifestUrl)
+    ) &&
+    caseLoaded &&
+    (cartridgeLoaded || !hasCartridges);
 
-function Simulator() {
-  const ROTATION_LIMIT_X_DEGREES = 45; // Horizontal rotation limit
-  const ROTATION_LIMIT_Y_DEGREES = 25; // Vertical rotation limit
-  const [caseLoaded, setCaseLoaded] = useState(false);
-  const [cartridgeLoaded, setCartridgeLoaded] = useState(false);
-  const [opacity, setOpacity] = useState(0);
+  // Fade in effect when all are loaded
+  useEffect(() => {
+    if (allLoaded) {
+      const timer = setTimeout(() => {
+        setOpacity(1);
+      }, 100); // Small delay for smooth transition
+      return () => clearTimeout(timer);
+    }
+  }, [allLoaded]);
 
-  // Animation state for multiple cartridges
-  const [activeCartridgeIndex, setActiveCartridgeIndex] = useState(null);
-  const [animatingCartridges, setAnimatingCartridges] = useState(new Set());
-  const [cartridgeBeingActivated, setCartridgeBeingActivated] = useState(null);
-  const [pendingCartridgeIndex, setPendingCartridgeIndex] = useState(null);
+  // Restore the shared view from the URL once everything is on screen. A
+  // scripted export of an insert video leaves the URL cartridge out to film.
+  const [exportRequest] = useState(readExportRequest);
+  const exportInsertIndexRef = useRef(null);
+  const [isViewRestored, setIsViewRestored] = useState(false);
+  const urlRestoredRef = useRef(false);
 
-  // Ref for OrbitControls
-  const controlsRef = useRef();
+  // Restoring goes through dispatchSlot so linked machines follow, without
+  // making the effect below depend on it
+  const restoreCartridgeRef = useRef(null);
+  useEffect(() => {
+    restoreCartridgeRef.current = (type, index) =>
+      dispatchSlot(focusedMachine.id, { type, index });
+  });
 
-  // Camera reset animation state
-  const [isResetAnimating, setIsResetAnimating] = useState(false);
+  const viewpointMoveRef = useRef(null);
+  useEffect(() => {
+    viewpointMoveRef.current = getFocusedViewpointMove;
+  });
 
-  // Define positions for 4 cartridges (bottom 4 slots)
-  const cartridgePositions = [
-    [-10.8, -13.2, 0], // 2nd slot from bottom
-    [-10.8, -22.8, 0], // 3rd slot from bottom
-    [-10.8, -32.4, 0], // 4th slot from bottom
-    [-10.8, -42, 0] // Bottom slot
-  ];
+  useEffect(() => {
+    if (!allLoaded || urlRestoredRef.current) return;
+    urlRestoredRef.current = true;
+    setIsViewRestored(true);
+
+    // The viewpoint places the orbit's target, the camera param the orbit
+    const { cartridge, inserted, view, camera } = readUrlState();
+    const move = view ? viewpointMoveRef.current(view) : null;
+    if (move && controlsRef.current) {
+      controlsRef.current.target.fromArray(move.target);
+      applyCameraState(controlsRef.current, move);
+    }
+    if (camera && controlsRef.current) {
+      applyCameraState(controlsRef.current, camera);
+    }
+
+    const index = catalog.cartridges.findIndex((c) => c.app === cartridge);
+    if (index === -1) return;
 
-  // Define cartridge configuration with colors and apps
-  const cartridgeConfig = [
-    {
-      color: "#2D8FFF",
-      app: "WholeEarthSatelliteImage"
-    },
-    {
-      color: "#FF4848",
-      app: "InfiniteColorFade"
-    },
-    {
-      color: "#9DFFA1",
-      app: "AircraftOverhead"
-    },
-    {
-      color: "#FFD788",
-      app: "USWeatherMap"
+    if (exportRequest && exportRequest.mode === VideoMode.INSERT) {
+      exportInsertIndexRef.current = index;
+      return;
     }
-  ];
 
-  const targetCartridgePosition = [-10.8, 0, 0]; // Top slot (1st slot)
+    restoreCartridgeRef.current(
+      inserted || exportRequest ? SlotEvent.RESTORE : SlotEvent.SELECT,
+      index
+    );
+  }, [allLoaded, catalog, exportRequest]);
 
-  // Get API key from URL query params
-  const getApiKey = () => {
-    const urlParams = new URLSearchParams(window.location.search);
-    return urlParams.get("fccApiKey") || "DEMO";
+  // Keep the URL in step with the inserted cartridge so it can be copied at any time
+  useEffect(() => {
+    if (!urlRestoredRef.current) return;
+
+    const cartridge =
+      activeCartridgeIndex !== null
+        ? catalog.cartridges[activeCartridgeIndex]
+        : null;
+    writeUrlState({
+      cartridge: cartridge ? cartridge.app : null,
+      inserted: cartridge ? "1" : null
+    });
+  }, [activeCartridgeIndex, catalog]);
+
+  // Shared session, joined from the session panel or a ?session= link. It
+  // connects once everything has loaded so the shared slots can be applied.
+  const [sessionId, setSessionId] = useState(getSessionId);
+  const [sessionName, setSessionName] = useState(loadSessionName);
+  const [relayUrl] = useState(getRelayUrl);
+  const [isFollowingCamera, setIsFollowingCamera] = useState(true);
+
+  // Follow a slot change from someone else in the session. Joining finds the
+  // cartridges already in rather than watching them go in.
+  const applySharedSlot = (machineId, cartridgeId, isJoining) => {
+    const machineCatalog = catalogs[machineId];
+    if (!machineCatalog) return;
+
+    const index = machineCatalog.cartridges.findIndex(
+      (cartridge) => cartridge.id === cartridgeId
+    );
+    if (index === -1) {
+      dispatchSlot(machineId, { type: SlotEvent.EJECT }, { isRemote: true });
+      return;
+    }
+    const type =
+      isJoining && getMachineSlot(slots, machineId).status === SlotState.IDLE
+        ? SlotEvent.RESTORE
+        : SlotEvent.INSERT;
+    dispatchSlot(machineId, { type, index }, { isRemote: true });
   };
 
-  // Create URLs array with API key if available
-  const createUrls = () => {
-    const apiKey = getApiKey();
-    const baseUrl = "https://cartridge-machine-firmware.fcc.lol";
-
-    const urls = [
-      apiKey ? `${baseUrl}/?fccApiKey=${apiKey}` : baseUrl, // Default/empty cartridge (when no cartridge is active)
-      ...cartridgeConfig.map((cartridge) =>
-        apiKey
-          ? `${baseUrl}/?fccApiKey=${apiKey}#${cartridge.app}`
-          : `${baseUrl}#${cartridge.app}`
-      )
-    ];
+  const handleSessionMessage = (message) => {
+    switch (message.type) {
+      case SessionMessage.WELCOME: {
+        // Take on the session's slots, and share ours where it has none yet
+        const sharedSlots = message.slots || {};
+        machines.forEach(({ id }) => {
+          if (sharedSlots[id] !== undefined) {
+            applySharedSlot(id, sharedSlots[id], true);
+            return;
+          }
+          const target = getTargetIndex(getMachineSlot(slots, id));
+          if (catalogs[id] && target !== null) {
+            session.send(SessionMessage.SLOT, {
+              machineId: id,
+              cartridgeId: catalogs[id].cartridges[target].id
+            });
+          }
+        });
+        break;
+      }
+      case SessionMessage.SLOT:
+        applySharedSlot(message.machineId, message.cartridgeId, false);
+        break;
+      case SessionMessage.CAMERA: {
+        const camera = parseCamera(message.camera);
+        if (isFollowingCamera && camera && controlsRef.current) {
+          applyCameraState(controlsRef.current, camera);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  const session = useSession({
+    relayUrl,
+    sessionId: allLoaded ? sessionId : null,
+    name: sessionName,
+    onMessage: handleSessionMessage
+  });
 
-    return urls;
+  const handleSessionJoin = (id, name) => {
+    saveSessionName(name);
+    setSessionName(name);
+    setSessionId(id);
+    writeUrlState({ session: id });
   };
 
-  const urls = createUrls();
+  const handleSessionLeave = () => {
+    setSessionId(null);
+    writeUrlState({ session: null });
+  };
 
-  // Handle cartridge click
-  const handleCartridgeClick = (clickedIndex) => {
-    return (event) => {
-      event.stopPropagation();
+  const handleCartridgeHover = (machineId, cartridgeId) => {
+    if (session.isConnected) {
+      session.send(SessionMessage.HOVER, { machineId, cartridgeId });
+    }
+  };
 
-      // If there's an active cartridge and the clicked cartridge is not the active one, don't allow the click
-      if (
-        activeCartridgeIndex !== null &&
-        activeCartridgeIndex !== clickedIndex
-      ) {
-        return;
-      }
+  // Where someone's pointer is, for the session panel
+  const describeHover = ({ machineId, cartridgeId }) => {
+    const machineCatalog = catalogs[machineId];
+    const cartridge =
+      machineCatalog &&
+      machineCatalog.cartridges.find(({ id }) => id === cartridgeId);
+    const machine = machines.find(({ id }) => id === machineId);
+    if (!cartridge) return "pointing at a cartridge";
+    const name = cartridge.label || cartridge.app;
+    return machine && machine.label ? `${name} on ${machine.label}` : name;
+  };
 
-      // If this cartridge is already active, deactivate it
-      if (activeCartridgeIndex === clickedIndex) {
-        // Start return animation for the active cartridge
-        setAnimatingCartridges((prev) => new Set([...prev, clickedIndex]));
-        // Clear the active cartridge (will be set to null when animation completes)
-        setCartridgeBeingActivated(null);
-        setPendingCartridgeIndex(null);
-        return;
-      }
+  // Send the orbit to the session while the user moves the camera, at most
+  // every CAMERA_SHARE_INTERVAL. Changes made by following someone else's
+  // camera happen outside a drag, so they aren't sent back.
+  const isOrbitingRef = useRef(false);
+  const lastCameraShareRef = useRef(0);
+  const shareCamera = () => {
+    if (!session.isConnected || !session.canControl) return;
+    lastCameraShareRef.current = performance.now();
+    session.send(SessionMessage.CAMERA, {
+      camera: getCameraParam(controlsRef.current)
+    });
+  };
+
+  const handleControlsChange = () => {
+    if (
+      isOrbitingRef.current &&
+      performance.now() - lastCameraShareRef.current >= CAMERA_SHARE_INTERVAL
+    ) {
+      shareCamera();
+    }
+  };
+
+  // Store the orbit in the URL after the user moves the camera
+  const handleControlsEnd = () => {
+    isOrbitingRef.current = false;
+    if (controlsRef.current) {
+      writeUrlState({ camera: getCameraParam(controlsRef.current) });
+      shareCamera();
+    }
+  };
 
-      // No active cartridge, start animation immediately
-      setCartridgeBeingActivated(clickedIndex);
-      setAnimatingCartridges((prev) => new Set([...prev, clickedIndex]));
-      setPendingCartridgeIndex(null);
+  // Kiosk mode plays through the playlist on the focused machine, stepping
+  // aside while someone uses the simulator and carrying on once they leave
+  const [kiosk] = useState(readKioskConfig);
+  const isKioskPaused = useIdlePause(kiosk ? kiosk.resumeAfter : null);
+  // Input inside the screen's iframe never reaches this window, so using the
+  // screen pauses the kiosk by itself
+  const isKioskRunning =
+    Boolean(kiosk) && allLoaded && !isKioskPaused && !interactiveMachine;
+  useKioskScreen(Boolean(kiosk));
+
+  const kioskPlaylist = useMemo(
+    () => (kiosk && catalog ? resolvePlaylist(kiosk, catalog.cartridges) : []),
+    [kiosk, catalog]
+  );
+  const [kioskStep, setKioskStep] = useState(0);
+
+  // Put the step's cartridge in, unless it's already in or on its way
+  const playKioskStepRef = useRef(null);
+  useEffect(() => {
+    playKioskStepRef.current = (index) => {
+      if (getTargetIndex(slot) !== index) selectCartridge(index);
     };
+  });
+
+  useEffect(() => {
+    if (!isKioskRunning || kioskPlaylist.length === 0) return;
+
+    const { index, dwell } = kioskPlaylist[kioskStep % kioskPlaylist.length];
+    playKioskStepRef.current(index);
+    const timer = setTimeout(
+      () => setKioskStep((step) => (step + 1) % kioskPlaylist.length),
+      dwell * 1000
+    );
+    return () => clearTimeout(timer);
+  }, [isKioskRunning, kioskPlaylist, kioskStep]);
+
+  // Cartridge keyboard control: number keys insert/eject directly, arrows
+  // move the selection, Enter inserts/ejects it and Escape ejects
+  const changeSelection = (index) => {
+    setSelectedIndex(index);
+    // Bring shelf cartridges into view
+    const { page } = getCartridgeHome(catalog, index);
+    if (page !== null) {
+      setShelfPage(page);
+    }
   };
 
-  // Handle animation completion
-  const handleAnimationComplete = (cartridgeIndex) => {
-    return () => {
-      setAnimatingCartridges((prev) => {
-        const newSet = new Set(prev);
-        newSet.delete(cartridgeIndex);
-        return newSet;
-      });
+  const handleCartridgeKey = (event) => {
+    // Escape leaves the screen before it ejects anything
+    if (event.key === "Escape" && interactiveMachine) {
+      setInteractiveScreenId(null);
+      return;
+    }
+    if (!catalog || cartridges.length === 0) return;
 
-      // If this cartridge was being activated, make it active
-      if (cartridgeBeingActivated === cartridgeIndex) {
-        setActiveCartridgeIndex(cartridgeIndex);
-        setCartridgeBeingActivated(null);
+    if (/^Digit[1-9]$/.test(event.code) && !event.shiftKey) {
+      const index = Number(event.code.slice(5)) - 1;
+      if (index < cartridges.length) {
+        changeSelection(index);
+        selectCartridge(index);
       }
-      // If this was the previously active cartridge and we're deactivating (cartridgeBeingActivated is null)
-      else if (
-        activeCartridgeIndex === cartridgeIndex &&
-        cartridgeBeingActivated === null
-      ) {
-        setActiveCartridgeIndex(null);
-
-        // Check if there's a pending cartridge to activate after delay
-        if (pendingCartridgeIndex !== null) {
-          const pendingIndex = pendingCartridgeIndex;
-          setPendingCartridgeIndex(null);
-
-          // Wait 1 second before starting the animation for the pending cartridge
-          setTimeout(() => {
-            setCartridgeBeingActivated(pendingIndex);
-            setAnimatingCartridges((prev) => new Set([...prev, pendingIndex]));
-          }, 1000);
-        }
+      return;
+    }
+
+    switch (event.key) {
+      case "ArrowDown":
+      case "ArrowRight":
+      case "ArrowUp":
+      case "ArrowLeft": {
+        event.preventDefault();
+        const step =
+          event.key === "ArrowDown" || event.key === "ArrowRight" ? 1 : -1;
+        const from = selectedIndex ?? (step > 0 ? -1 : 0);
+        changeSelection((from + step + cartridges.length) % cartridges.length);
+        break;
       }
-      // If this was the previously active cartridge, it's now deactivated
-      else if (activeCartridgeIndex === cartridgeIndex) {
-        // Don't change activeCartridgeIndex here - it will be set by the activating cartridge
+      case "Enter":
+        if (selectedIndex !== null) {
+          selectCartridge(selectedIndex);
+        }
+        break;
+      case "Escape":
+        ejectActiveCartridge();
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Window listener calling the latest handler, so it isn't re-added every frame
+  const cartridgeKeyRef = useRef(handleCartridgeKey);
+  useEffect(() => {
+    cartridgeKeyRef.current = handleCartridgeKey;
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!isInteractiveTarget(event.target)) {
+        cartridgeKeyRef.current(event);
       }
     };
-  };
 
-  // Handle cartridge loaded - only set to true once
-  const handleCartridgeLoaded = () => {
-    if (!cartridgeLoaded) {
-      setCartridgeLoaded(true);
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  // Announce cartridge changes to screen readers
+  const [announcement, setAnnouncement] = useState("");
+  const previousAnnouncedRef = useRef(null);
+  useEffect(() => {
+    const previousIndex = previousAnnouncedRef.current;
+    previousAnnouncedRef.current = activeCartridgeIndex;
+    if (!catalog || previousIndex === activeCartridgeIndex) return;
+
+    if (activeCartridgeIndex !== null) {
+      setAnnouncement(
+        `${catalog.cartridges[activeCartridgeIndex].label} inserted`
+      );
+    } else if (catalog.cartridges[previousIndex]) {
+      setAnnouncement(`${catalog.cartridges[previousIndex].label} ejected`);
     }
+  }, [activeCartridgeIndex, catalog]);
+
+  useEffect(() => {
+    if (catalog && pendingCartridgeIndex !== null) {
+      setAnnouncement(
+        `${catalog.cartridges[pendingCartridgeIndex].label} queued`
+      );
+    }
+  }, [pendingCartridgeIndex, catalog]);
+
+  // Straight on at the distance fitting every machine
+  const resetCamera = () =>
+    setCameraMove({
+      id: null,
+      target: [0, 0, 0],
+      azimuth: 0,
+      polar: Math.PI / 2,
+      distance: viewDistance
+    });
+
+  // Named viewpoints of the focused machine, from the calibration
+  const { viewpoints } = layout.camera;
+  const orbitLimits = getOrbitLimits(layout.camera.limits, machines.length);
+  const getFocusedViewpointMove = (id) => {
+    const viewpoint = viewpoints.find((view) => view.id === id);
+    if (!viewpoint) return null;
+    const index = machines.findIndex(({ id }) => id === focusedMachine.id);
+    return getViewpointMove(
+      viewpoint,
+      getMachineOffset(index, machines.length)
+    );
   };
 
-  // Check if all assets are loaded
-  const allLoaded = caseLoaded && cartridgeLoaded;
+  const goToViewpoint = (id) => {
+    const move = getFocusedViewpointMove(id);
+    if (move && !interactiveMachine) setCameraMove(move);
+  };
 
-  // Fade in effect when all are loaded
-  useEffect(() => {
-    if (allLoaded) {
-      const timer = setTimeout(() => {
-        setOpacity(1);
-      }, 100); // Small delay for smooth transition
-      return () => clearTimeout(timer);
+  // Space resets the camera, Shift with 1-9 goes to a viewpoint
+  const handleCameraKey = (event) => {
+    if (event.code === "Space") {
+      event.preventDefault();
+      resetCamera();
+    } else if (event.shiftKey && /^Digit[1-9]$/.test(event.code)) {
+      const viewpoint = viewpoints[Number(event.code.slice(5)) - 1];
+      if (viewpoint) goToViewpoint(viewpoint.id);
     }
-  }, [allLoaded]);
+  };
+
+  const cameraKeyRef = useRef(handleCameraKey);
+  useEffect(() => {
+    cameraKeyRef.current = handleCameraKey;
+  });
 
-  // Add keyboard event listener for space bar
   useEffect(() => {
     const handleKeyDown = (event) => {
-      if (event.code === "Space") {
-        event.preventDefault();
-        if (!isResetAnimating) {
-          setIsResetAnimating(true);
-        }
+      if (!isInteractiveTarget(event.target)) {
+        cameraKeyRef.current(event);
       }
     };
 
     window.addEventListener("keydown", handleKeyDown);
     return () => window.removeEventListener("keydown", handleKeyDown);
-  }, [isResetAnimating]);
+  }, []);
 
-  // Handle reset animation completion
-  const handleResetComplete = () => {
-    setIsResetAnimating(false);
-    // Reset OrbitControls to sync with new camera position
-    if (controlsRef.current) {
-      controlsRef.current.reset();
+  // Step back (or in) to fit the machines when they're added or removed
+  const resetCameraRef = useRef(resetCamera);
+  useEffect(() => {
+    resetCameraRef.current = resetCamera;
+  });
+
+  const machineCountRef = useRef(machines.length);
+  useEffect(() => {
+    if (machineCountRef.current === machines.length) return;
+    machineCountRef.current = machines.length;
+    resetCameraRef.current();
+  }, [machines.length]);
+
+  // Optionally move to a viewpoint, like the screen, when a cartridge goes in
+  const { focusOnInsert } = layout.camera;
+  const goToViewpointRef = useRef(goToViewpoint);
+  useEffect(() => {
+    goToViewpointRef.current = goToViewpoint;
+  });
+
+  useEffect(() => {
+    if (focusOnInsert && slot.status === SlotState.INSERTED) {
+      goToViewpointRef.current(focusOnInsert);
     }
+  }, [focusOnInsert, slot.status]);
+
+  // The viewpoint sets the orbit's target, so it goes in the URL, and the
+  // camera param is only needed once the user orbits away from it
+  const handleCameraMoveComplete = (move) => {
+    setCameraMove(null);
+    writeUrlState({ view: move.id, camera: null });
   };
 
+  // Exports: the canvas renders itself at the export size, with each
+  // firmware's own capture of its screen drawn in place of the iframe
+  const exporterRef = useRef(null);
+  const registerExporter = useCallback((exporter) => {
+    exporterRef.current = exporter;
+  }, []);
+  const machineApisRef = useRef(new Map()); // Machine id -> { captureScreen }
+  const registerMachine = useCallback((machineId, api) => {
+    if (api) {
+      machineApisRef.current.set(machineId, api);
+    } else {
+      machineApisRef.current.delete(machineId);
+    }
+  }, []);
+  const [exportState, setExportState] = useState({
+    isExporting: false,
+    error: null
+  });
+  const [screenTextures, setScreenTextures] = useState({});
+
+  // Export a PNG or WebM. Insert videos record insertIndex going into the
+  // focused machine's slot.
+  const runExport = async (options, insertIndex) => {
+    const exporter = exporterRef.current;
+    if (!exporter || exportState.isExporting) return;
+
+    const isInsert =
+      options.format === ExportFormat.WEBM && options.mode === VideoMode.INSERT;
+    const shown = isInsert
+      ? cartridges[insertIndex]
+      : cartridges[activeCartridgeIndex];
+    let textures = {};
+    setExportState({ isExporting: true, error: null });
+
+    try {
+      if (isInsert && (!shown || slot.status !== SlotState.IDLE)) {
+        throw new Error(
+          "Select a cartridge and empty the slot to record it going in"
+        );
+      }
+
+      // An emulated display is already part of the scene
+      textures = display
+        ? {}
+        : Object.fromEntries(
+            await Promise.all(
+              [...machineApisRef.current].map(async ([machineId, api]) => [
+                machineId,
+                await api.captureScreen()
+              ])
+            )
+          );
+      setScreenTextures(textures);
+      await nextFrame();
+
+      const name = `cartridge-machine-${shown ? shown.app : "empty"}`;
+      let url, fileName;
+      if (options.format === ExportFormat.PNG) {
+        url = exporter.capturePng(options);
+        fileName = `${name}.png`;
+      } else {
+        // Orbit limits would pull the turntable back, so pause the controls
+        if (controlsRef.current) controlsRef.current.enabled = false;
+        try {
+          const video = await exporter.recordWebm({
+            ...options,
+            turntable: !isInsert,
+            onStart: isInsert ? () => selectCartridge(insertIndex) : null
+          });
+          url = URL.createObjectURL(video);
+        } finally {
+          if (controlsRef.current)
+            controlsRef.current.enabled = !interactiveMachine;
+        }
+        fileName = `${name}-${options.mode}.webm`;
+      }
+
+      downloadFile(url, fileName);
+      publishExportResult({ status: "done", fileName, url });
+      setExportState({ isExporting: false, error: null });
+    } catch (error) {
+      publishExportResult({ status: "error", message: error.message });
+      setExportState({ isExporting: false, error: error.message });
+    } finally {
+      setScreenTextures({});
+      Object.values(textures).forEach((texture) => texture.dispose());
+    }
+  };
+
+  // Each machine's screen, so a scripted export can wait for them to load
+  const [firmwareStates, setFirmwareStates] = useState({});
+  const handleFirmwareStatusChange = useCallback((machineId, status) => {
+    setFirmwareStates((prev) => ({ ...prev, [machineId]: status }));
+  }, []);
+
+  // Export requested in the query string, run once the scene has settled:
+  // the URL cartridge is in and the firmware has loaded (or taken too long)
+  const exportStartedRef = useRef(false);
+  const [isExportWaitOver, setIsExportWaitOver] = useState(false);
+  useEffect(() => {
+    if (!exportRequest || !isViewRestored) return;
+    const timer = setTimeout(
+      () => setIsExportWaitOver(true),
+      EXPORT_FIRMWARE_TIMEOUT
+    );
+    return () => clearTimeout(timer);
+  }, [exportRequest, isViewRestored]);
+
+  useEffect(() => {
+    if (!exportRequest || !isViewRestored || exportStartedRef.current) return;
+
+    const isSlotSettled = machines.every(({ id }) => {
+      const { status } = getMachineSlot(slots, id);
+      return status === SlotState.IDLE || status === SlotState.INSERTED;
+    });
+    const isScreenSettled =
+      isExportWaitOver ||
+      machines.every(({ id }) => {
+        const state = firmwareStates[id];
+        return state && (!state.isReachable || state.state !== "loading");
+      });
+    if (isSlotSettled && isScreenSettled) {
+      exportStartedRef.current = true;
+      runExport(exportRequest, exportInsertIndexRef.current);
+    }
+  });
+
+  // Move handles for the part picked in the calibration panel, outlined by its
+  // model (or for the screen, by the size the firmware page is drawn at).
+  // Every machine shares the calibration; the handles sit on the main one.
+  let calibrationGizmo = null;
+  const calibrationPosition =
+    calibration && getTargetPosition(calibration, calibrationTarget);
+  if (calibrationPosition) {
+    const isCase = calibrationTarget === "case";
+    const isScreen = calibrationTarget === "screen";
+    const screenScale = calibration.screen.distanceFactor / 400;
+    calibrationGizmo = (
+      <group position={getMachineOffset(0, machines.length)}>
+        <CalibrationGizmo
+          key={calibrationTarget}
+          position={calibrationPosition}
+          model={isScreen ? null : isCase ? caseModel : cartridgeModel}
+          rotation={isCase ? caseRotation : cartridgeRotation}
+          scale={isCase ? calibration.case.scale : calibration.cartridge.scale}
+          bounds={
+            isScreen
+              ? new THREE.Box3().setFromCenterAndSize(
+                  new THREE.Vector3(),
+                  new THREE.Vector3(
+                    SCREEN_WIDTH * screenScale,
+                    SCREEN_HEIGHT * screenScale,
+                    0.5
+                  )
+                )
+              : null
+          }
+          onChange={(position) =>
+            handleCalibrationChange(
+              setTargetPosition(calibration, calibrationTarget, position)
+            )
+          }
+          onDragChange={handleDragChange}
+        />
+      </group>
+    );
+  }
+
+  const errors = [
+    ...(catalog ? catalog.errors : []),
+    ...calibrationErrors,
+    ...machineErrors
+  ];
+
   return (
     <div style={{ width: "100%", height: "100vh" }}>
-      {/* Loading overlay */}
-      {!allLoaded && (
+      {/* Loading progress, manifest and model errors */}
+      <LoadingOverlay isLoading={!allLoaded} error={manifestError} />
+
+      <CartridgeList
+        cartridges={cartridges}
+        activeIndex={activeCartridgeIndex}
+        pendingIndex={pendingCartridgeIndex}
+        onSelect={selectCartridge}
+        onFocusCartridge={changeSelection}
+        announcement={announcement}
+      />
+
+      <DesignerPanel
+        {...getPanelProps("designer")}
+        designs={designs}
+        activeId={
+          activeCartridgeIndex !== null
+            ? cartridges[activeCartridgeIndex].id
+            : null
+        }
+        inSlotId={slot.current !== null ? cartridges[slot.current].id : null}
+        onSave={handleDesignsSave}
+        onDelete={handleDesignDelete}
+        onInsert={handleDesignInsert}
+      />
+
+      {calibration && (
+        <CalibrationPanel
+          calibration={calibration}
+          target={calibrationTarget}
+          modelFiles={modelFiles}
+          {...getPanelProps("calibration")}
+          onTargetChange={setCalibrationTarget}
+          onChange={handleCalibrationChange}
+          onReset={handleCalibrationReset}
+          onModelFile={handleModelFile}
+        />
+      )}
+
+      {calibration && !interactiveMachine && (
+        <ViewpointBar viewpoints={viewpoints} onSelect={goToViewpoint} />
+      )}
+
+      {calibration && (
+        <ScreenModeToggle
+          isActive={Boolean(interactiveMachine)}
+          label={interactiveMachine ? interactiveMachine.label : ""}
+          onChange={(isActive) =>
+            setInteractiveScreenId(isActive ? focusedMachine.id : null)
+          }
+        />
+      )}
+
+      <div role="group" aria-label="Tools" style={toolbarStyle}>
+        <ScenePresetPicker />
+        <SoundToggle />
+        <SessionPanel
+          {...getPanelProps("session")}
+          session={session}
+          sessionId={sessionId}
+          name={sessionName}
+          relayUrl={relayUrl}
+          isFollowingCamera={isFollowingCamera}
+          onFollowCameraChange={setIsFollowingCamera}
+          onJoin={handleSessionJoin}
+          onLeave={handleSessionLeave}
+          describeHover={describeHover}
+        />
+        <ExportPanel
+          {...getPanelProps("export")}
+          isExporting={exportState.isExporting}
+          error={exportState.error}
+          onExport={(options) => runExport(options, selectedIndex ?? 0)}
+        />
+        <SettingsPanel
+          {...getPanelProps("settings")}
+          settings={firmwareSettings}
+          config={firmwareConfig}
+          onSave={handleFirmwareSettingsSave}
+        />
+      </div>
+
+      {/* Manifest problems that didn't stop the catalog from loading */}
+      {catalog && errors.length > 0 && (
         <div
+          role="alert"
           style={{
             position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
+            top: 16,
+            left: 16,
+            maxWidth: 420,
+            padding: "12px 16px",
             zIndex: 1000,
-            color: "white",
-            fontSize: "18px"
+            color: "#FF4848",
+            background: "rgba(0, 0, 0, 0.8)",
+            borderRadius: 8,
+            fontSize: "14px"
           }}
         >
-          Loading...
+          {errors.map((error) => (
+            <div key={error}>{error}</div>
+          ))}
         </div>
       )}
 
       <Canvas
         camera={{
-          position: [0, 0, window.innerWidth <= 768 ? 300 : 100],
+          position: [0, 0, viewDistance],
           fov: 50,
           near: 0.1,
-          far: 1000
+          far: 1000 * machines.length
         }}
         style={{
-          background:
-            "radial-gradient(circle, rgba(0,0,0) 0%, rgba(20,20,20) 100%)",
+          background: scenePreset.background,
           opacity: opacity,
           transition: "opacity 1s ease-in-out"
         }}
       >
-        <ambientLight intensity={0.3} />
-        <directionalLight position={[0, 15, 12]} intensity={1} castShadow />
+        <SceneLighting preset={scenePreset} machineCount={machines.length} />
 
-        <CameraResetAnimation
-          isAnimating={isResetAnimating}
-          onComplete={handleResetComplete}
+        <CameraTransition
+          controlsRef={controlsRef}
+          move={cameraMove}
+          onComplete={handleCameraMoveComplete}
+          reducedMotion={prefersReducedMotion}
         />
 
-        <STLModel
-          url="/resources/case.stl"
-          onLoad={() => setCaseLoaded(true)}
-          position={[-10.8, 0, 0]}
-          rotation={[Math.PI / 2, Math.PI, Math.PI]}
-          scale={[0.4, 0.4, 0.4]}
-          color="#ffffff"
-          onClick={(e) => e.stopPropagation()}
-          onPointerEnter={(e) => e.stopPropagation()}
-          onPointerLeave={(e) => e.stopPropagation()}
-        />
-
-        {/* Render 4 cartridges */}
-        {cartridgePositions.map((position, index) => {
-          const isActive = activeCartridgeIndex === index;
-          const isAnimating = animatingCartridges.has(index);
-          const isBeingActivated = cartridgeBeingActivated === index;
-          const isClickable =
-            activeCartridgeIndex === null || activeCartridgeIndex === index;
-
-          // Determine animation direction based on what should happen
-          let initialPosition, targetPosition;
-          if (isAnimating) {
-            if (isBeingActivated) {
-              // This cartridge is being activated - move to target
-              initialPosition = position;
-              targetPosition = targetCartridgePosition;
-            } else {
-              // This cartridge is being deactivated - move back to original
-              initialPosition = targetCartridgePosition;
-              targetPosition = position;
-            }
-          } else {
-            // Not animating - use current position
-            if (isActive) {
-              initialPosition = targetCartridgePosition;
-              targetPosition = targetCartridgePosition;
-            } else {
-              initialPosition = position;
-              targetPosition = position;
-            }
-          }
-
-          return (
-            <AnimatedCartridge
-              key={index}
-              url="/resources/cartrdige.stl"
-              onLoad={handleCartridgeLoaded}
-              initialPosition={initialPosition}
-              targetPosition={targetPosition}
-              isAnimating={isAnimating}
-              onAnimationComplete={handleAnimationComplete(index)}
-              rotation={[Math.PI / 2, Math.PI, Math.PI]}
-              scale={[0.4, 0.4, 0.4]}
-              color={cartridgeConfig[index].color}
-              onClick={isClickable ? handleCartridgeClick(index) : undefined}
-              allowInteraction={isClickable}
-            />
-          );
-        })}
-
-        <Html
-          position={[-11, -0.1, 8.4]} // Adjust to match your screen's position
-          transform
-          distanceFactor={24.4} // Adjust for scaling - doubled to double the size
-          wrapperClass="firmware-iframe"
-          style={{
-            pointerEvents: "none",
-            userSelect: "none",
-            backfaceVisibility: "hidden"
-          }}
-          onClick={(e) => e.stopPropagation()}
-          onPointerEnter={(e) => e.stopPropagation()}
-          onPointerLeave={(e) => e.stopPropagation()}
-        >
-          <iframe
-            src={
-              urls[activeCartridgeIndex !== null ? activeCartridgeIndex + 1 : 0]
-            }
-            style={{
-              width: 1048,
-              height: 772,
-              border: "none",
-              borderRadius: 20,
-              background: "transparent",
-              backfaceVisibility: "hidden",
-              pointerEvents: "none"
-            }}
-            title="screen"
+        {calibration &&
+          machines.map((machine, index) => {
+            const isFocused = machine.id === focusedMachine.id;
+            return (
+              <Machine
+                key={machine.id}
+                machine={machine}
+                position={getMachineOffset(index, machines.length)}
+                catalog={catalogs[machine.id]}
+                layout={layout}
+                caseModel={caseModel}
+                cartridgeModel={cartridgeModel}
+                caseRotation={caseRotation}
+                cartridgeRotation={cartridgeRotation}
+                slot={getMachineSlot(slots, machine.id)}
+                onSlotEvent={(event) =>
+                  dispatchSlots({ machineId: machine.id, ...event })
+                }
+                onSelect={(cartridgeIndex) => {
+                  focusMachine(machine.id);
+                  if (!session.canControl) return;
+                  dispatchSlot(machine.id, {
+                    type: SlotEvent.SELECT,
+                    index: cartridgeIndex
+                  });
+                }}
+                onEject={() => {
+                  // The host's firmware asks for ejects on the guests' behalf
+                  if (session.canControl) {
+                    dispatchSlot(machine.id, { type: SlotEvent.EJECT });
+                  }
+                }}
+                selectedIndex={isFocused ? selectedIndex : null}
+                shelfPage={shelfPages[machine.id] || 0}
+                onShelfPageChange={(page) =>
+                  setMachineShelfPage(machine.id, page)
+                }
+                isFocused={isFocused}
+                onFocus={() => focusMachine(machine.id)}
+                onDragChange={handleDragChange}
+                onZoomLockChange={handleZoomLockChange}
+                onCaseLoad={() => setCaseLoaded(true)}
+                onCartridgeLoad={handleCartridgeLoaded}
+                onReady={registerMachine}
+                onFirmwareStatusChange={handleFirmwareStatusChange}
+                screenTexture={screenTextures[machine.id] || null}
+                canControl={session.canControl}
+                presence={session.peers.filter(
+                  ({ id }) => id !== session.clientId
+                )}
+                onCartridgeHover={(cartridgeId) =>
+                  handleCartridgeHover(machine.id, cartridgeId)
+                }
+                isScreenInteractive={interactiveScreenId === machine.id}
+                onScreenEscape={() => setInteractiveScreenId(null)}
+                display={display}
+                materials={scenePreset.materials}
+                lightPosition={scenePreset.keyLight.position}
+                reducedMotion={prefersReducedMotion}
+              />
+            );
+          })}
+
+        {isCalibrating && calibrationGizmo}
+
+        {kiosk && (
+          <KioskOrbit
+            controlsRef={controlsRef}
+            isActive={isKioskRunning && !cameraMove && !prefersReducedMotion}
+            limit={THREE.MathUtils.degToRad(layout.camera.limits.azimuth * 0.6)}
           />
-        </Html>
+        )}
+
+        <SceneExporter onReady={registerExporter} controlsRef={controlsRef} />
 
         <OrbitControls
           ref={controlsRef}
+          onStart={() => {
+            isOrbitingRef.current = true;
+            setCameraMove(null); // Grabbing the camera stops a transition
+          }}
+          onChange={handleControlsChange}
+          onEnd={handleControlsEnd}
           enablePan={false}
           enableZoom={true}
           enableRotate={true}
-          minDistance={50}
-          maxDistance={300}
-          minPolarAngle={
-            Math.PI / 2 - (ROTATION_LIMIT_Y_DEGREES * Math.PI) / 180
-          }
-          maxPolarAngle={
-            Math.PI / 2 + (ROTATION_LIMIT_Y_DEGREES * Math.PI) / 180
-          }
-          minAzimuthAngle={(-ROTATION_LIMIT_X_DEGREES * Math.PI) / 180}
-          maxAzimuthAngle={(ROTATION_LIMIT_X_DEGREES * Math.PI) / 180}
+          {...orbitLimits}
+          maxDistance={kiosk ? viewDistance : orbitLimits.maxDistance}
         />
       </Canvas>
     </div>
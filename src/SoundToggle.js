@@ -0,0 +1,22 @@
+import React from "react";
+
+import { buttonStyle } from "./SettingsPanel";
+import { setMuted, useMuted } from "./sound";
+
+// Mutes sound effects and vibration, remembered between visits
+function SoundToggle() {
+  const isMuted = useMuted();
+
+  return (
+    <button
+      style={buttonStyle}
+      onClick={() => setMuted(!isMuted)}
+      aria-label="Mute sound"
+      aria-pressed={isMuted}
+    >
+      {isMuted ? "Sound off" : "Sound on"}
+    </button>
+  );
+}
+
+export default SoundToggle;
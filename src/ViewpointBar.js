@@ -0,0 +1,34 @@
+import React from "react";
+
+import { buttonStyle } from "./SettingsPanel";
+
+const barStyle = {
+  position: "absolute",
+  bottom: 56,
+  left: "50%",
+  transform: "translateX(-50%)",
+  zIndex: 1000,
+  display: "flex",
+  gap: 8
+};
+
+// Buttons moving the camera to each named viewpoint, the first nine also on
+// Shift and their number
+function ViewpointBar({ viewpoints, onSelect }) {
+  return (
+    <div role="toolbar" aria-label="Camera viewpoints" style={barStyle}>
+      {viewpoints.map(({ id, label }, index) => (
+        <button
+          key={id}
+          style={buttonStyle}
+          onClick={() => onSelect(id)}
+          aria-keyshortcuts={index < 9 ? `Shift+${index + 1}` : undefined}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default ViewpointBar;
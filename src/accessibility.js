@@ -0,0 +1,38 @@
+// Shared helpers for keyboard and screen reader support
+import { useEffect, useState } from "react";
+
+// Hide content visually while keeping it available to screen readers
+export const visuallyHidden = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  padding: 0,
+  margin: -1,
+  overflow: "hidden",
+  clip: "rect(0, 0, 0, 0)",
+  whiteSpace: "nowrap",
+  border: 0
+};
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+// Track the user's reduced motion preference, including changes while open
+export function usePrefersReducedMotion() {
+  const [prefersReducedMotion, setPrefersReducedMotion] = useState(
+    () => window.matchMedia(REDUCED_MOTION_QUERY).matches
+  );
+
+  useEffect(() => {
+    const query = window.matchMedia(REDUCED_MOTION_QUERY);
+    const handleChange = () => setPrefersReducedMotion(query.matches);
+    query.addEventListener("change", handleChange);
+    return () => query.removeEventListener("change", handleChange);
+  }, []);
+
+  return prefersReducedMotion;
+}
+
+// Whether a key event belongs to a form field or button rather than the scene
+export const isInteractiveTarget = (target) =>
+  target instanceof Element &&
+  target.closest("input, textarea, select, button, [contenteditable]") !== null;
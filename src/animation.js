@@ -0,0 +1,170 @@
+// Time-based tweens that mutate objects (positions, rotations, refs) in place
+// instead of going through React state.
+//
+// Everything advances by an explicit delta in seconds, so a test can drive
+// it with a fake clock by calling update() with fixed steps. Each animation's
+// update(delta) returns true once finished and keeps any time left over in
+// `overflow`, so sequences stay in step regardless of frame rate.
+import { useEffect, useRef, useState } from "react";
+import { useFrame } from "@react-three/fiber";
+
+// Longest step taken in one frame, so a backgrounded tab doesn't jump
+export const MAX_FRAME_DELTA = 0.1;
+
+export const Easing = {
+  linear: (t) => t,
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) =>
+    t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+};
+
+// Tween the numeric properties of target named in `to`, starting from their
+// values on the first update (so an interrupted tween continues smoothly)
+export const createTween = (
+  target,
+  to,
+  { duration, easing = Easing.easeInOutCubic, onComplete } = {}
+) => {
+  const keys = Object.keys(to);
+  let from = null;
+  let elapsed = 0;
+
+  const tween = {
+    overflow: 0,
+    isDone: false,
+    update(delta) {
+      if (tween.isDone) return true;
+      if (from === null) {
+        from = {};
+        keys.forEach((key) => {
+          from[key] = target[key];
+        });
+      }
+
+      elapsed += delta;
+      const t = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
+      const eased = easing(t);
+      keys.forEach((key) => {
+        target[key] = from[key] + (to[key] - from[key]) * eased;
+      });
+
+      if (t >= 1) {
+        tween.isDone = true;
+        tween.overflow = duration > 0 ? elapsed - duration : delta;
+        if (onComplete) onComplete();
+      }
+      return tween.isDone;
+    }
+  };
+
+  return tween;
+};
+
+// Run animations one after another. Steps are functions creating the next
+// animation so each one starts from where the previous one left off.
+export const createSequence = (steps, { onComplete } = {}) => {
+  let index = 0;
+  let current = null;
+
+  const sequence = {
+    overflow: 0,
+    isDone: false,
+    update(delta) {
+      let remaining = delta;
+      while (!sequence.isDone) {
+        if (!current) current = steps[index]();
+        if (!current.update(remaining)) return false;
+
+        remaining = current.overflow;
+        current = null;
+        index += 1;
+        if (index >= steps.length) {
+          sequence.isDone = true;
+          sequence.overflow = remaining;
+          if (onComplete) onComplete();
+        }
+      }
+      return true;
+    }
+  };
+
+  return sequence;
+};
+
+// Run animations side by side, finishing when the slowest does
+export const createParallel = (animations, { onComplete } = {}) => {
+  const parallel = {
+    overflow: 0,
+    isDone: false,
+    update(delta) {
+      if (parallel.isDone) return true;
+
+      let finished = true;
+      let overflow = delta;
+      animations.forEach((animation) => {
+        if (!animation.isDone) {
+          if (animation.update(delta)) {
+            overflow = Math.min(overflow, animation.overflow);
+          } else {
+            finished = false;
+          }
+        }
+      });
+
+      if (finished) {
+        parallel.isDone = true;
+        parallel.overflow = overflow;
+        if (onComplete) onComplete();
+      }
+      return finished;
+    }
+  };
+
+  return parallel;
+};
+
+// Holds one animation per named channel. Playing on a busy channel
+// interrupts whatever was running there.
+export const createTweenRunner = () => {
+  const channels = new Map();
+
+  return {
+    play(channel, animation) {
+      channels.set(channel, animation);
+    },
+    stop(channel) {
+      channels.delete(channel);
+    },
+    isPlaying(channel) {
+      return channels.has(channel);
+    },
+    update(delta) {
+      channels.forEach((animation, channel) => {
+        // onComplete may have started a new animation on the same channel
+        if (animation.update(delta) && channels.get(channel) === animation) {
+          channels.delete(channel);
+        }
+      });
+    }
+  };
+};
+
+// A runner advanced every frame. With instant set (reduced motion) every
+// animation jumps straight to its end.
+export function useTweenRunner({ instant = false } = {}) {
+  const [runner] = useState(createTweenRunner);
+  const instantRef = useRef(instant);
+
+  useEffect(() => {
+    instantRef.current = instant;
+  }, [instant]);
+
+  useFrame((state, delta) => {
+    runner.update(
+      instantRef.current ? Infinity : Math.min(delta, MAX_FRAME_DELTA)
+    );
+  });
+
+  return runner;
+}
@@ -0,0 +1,192 @@
+import {
+  Easing,
+  createParallel,
+  createSequence,
+  createTween,
+  createTweenRunner
+} from "./animation";
+
+describe("Easing", () => {
+  it.each(Object.keys(Easing))("%s starts at 0 and ends at 1", (name) => {
+    expect(Easing[name](0)).toBe(0);
+    expect(Easing[name](1)).toBe(1);
+  });
+
+  it("eases in and out symmetrically", () => {
+    expect(Easing.easeInOutCubic(0.5)).toBeCloseTo(0.5);
+  });
+});
+
+describe("createTween", () => {
+  it("moves the target over its duration in fixed steps", () => {
+    const target = { x: 0 };
+    const tween = createTween(
+      target,
+      { x: 10 },
+      { duration: 1, easing: Easing.linear }
+    );
+
+    expect(tween.update(0.25)).toBe(false);
+    expect(target.x).toBeCloseTo(2.5);
+    expect(tween.update(0.25)).toBe(false);
+    expect(target.x).toBeCloseTo(5);
+    expect(tween.update(0.5)).toBe(true);
+    expect(target.x).toBe(10);
+  });
+
+  it("starts from the target's value on its first update", () => {
+    const target = { x: 0 };
+    const tween = createTween(
+      target,
+      { x: 10 },
+      { duration: 1, easing: Easing.linear }
+    );
+    target.x = 6;
+
+    tween.update(0.5);
+    expect(target.x).toBeCloseTo(8);
+  });
+
+  it("keeps the time left over past its end", () => {
+    const tween = createTween({ x: 0 }, { x: 1 }, { duration: 0.3 });
+    tween.update(0.2);
+    tween.update(0.2);
+    expect(tween.overflow).toBeCloseTo(0.1);
+  });
+
+  it("calls onComplete once", () => {
+    const onComplete = jest.fn();
+    const tween = createTween(
+      { x: 0 },
+      { x: 1 },
+      { duration: 0.1, onComplete }
+    );
+    tween.update(0.2);
+    tween.update(0.2);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("createSequence", () => {
+  it("carries leftover time into the next step", () => {
+    const target = { x: 0, y: 0 };
+    const sequence = createSequence([
+      () =>
+        createTween(target, { x: 1 }, { duration: 0.5, easing: Easing.linear }),
+      () =>
+        createTween(target, { y: 1 }, { duration: 0.5, easing: Easing.linear })
+    ]);
+
+    expect(sequence.update(0.75)).toBe(false);
+    expect(target.x).toBe(1);
+    expect(target.y).toBeCloseTo(0.5);
+
+    expect(sequence.update(0.5)).toBe(true);
+    expect(target.y).toBe(1);
+    expect(sequence.overflow).toBeCloseTo(0.25);
+  });
+
+  it("creates each step from where the previous one left off", () => {
+    const target = { x: 0 };
+    const sequence = createSequence([
+      () => createTween(target, { x: 10 }, { duration: 1 }),
+      () =>
+        createTween(
+          target,
+          { x: target.x + 5 },
+          { duration: 1, easing: Easing.linear }
+        )
+    ]);
+
+    sequence.update(2);
+    expect(target.x).toBe(15);
+  });
+
+  it("finishes several short steps within one update", () => {
+    const onComplete = jest.fn();
+    const target = { x: 0 };
+    const step = () =>
+      createTween(target, { x: target.x + 1 }, { duration: 0.1 });
+    const sequence = createSequence([step, step, step], { onComplete });
+
+    expect(sequence.update(0.5)).toBe(true);
+    expect(target.x).toBe(3);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("createParallel", () => {
+  it("finishes when the slowest animation does", () => {
+    const target = { x: 0, y: 0 };
+    const onComplete = jest.fn();
+    const parallel = createParallel(
+      [
+        createTween(target, { x: 1 }, { duration: 0.2 }),
+        createTween(target, { y: 1 }, { duration: 0.6 })
+      ],
+      { onComplete }
+    );
+
+    expect(parallel.update(0.4)).toBe(false);
+    expect(target.x).toBe(1);
+    expect(onComplete).not.toHaveBeenCalled();
+
+    expect(parallel.update(0.3)).toBe(true);
+    expect(target.y).toBe(1);
+    expect(parallel.overflow).toBeCloseTo(0.1);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("createTweenRunner", () => {
+  it("advances every channel and drops finished animations", () => {
+    const runner = createTweenRunner();
+    const target = { x: 0, y: 0 };
+    runner.play("x", createTween(target, { x: 1 }, { duration: 0.2 }));
+    runner.play("y", createTween(target, { y: 1 }, { duration: 0.4 }));
+
+    runner.update(0.2);
+    expect(runner.isPlaying("x")).toBe(false);
+    expect(runner.isPlaying("y")).toBe(true);
+
+    runner.update(0.2);
+    expect(runner.isPlaying("y")).toBe(false);
+    expect(target).toEqual({ x: 1, y: 1 });
+  });
+
+  it("interrupts the animation already running on a channel", () => {
+    const runner = createTweenRunner();
+    const target = { x: 0 };
+    const first = jest.fn();
+    runner.play(
+      "move",
+      createTween(
+        target,
+        { x: 10 },
+        { duration: 1, easing: Easing.linear, onComplete: first }
+      )
+    );
+    runner.update(0.5);
+    expect(target.x).toBeCloseTo(5);
+
+    runner.play(
+      "move",
+      createTween(target, { x: 0 }, { duration: 1, easing: Easing.linear })
+    );
+    runner.update(0.5);
+    expect(target.x).toBeCloseTo(2.5); // Continues from where it was
+
+    runner.update(1);
+    expect(target.x).toBe(0);
+    expect(first).not.toHaveBeenCalled();
+  });
+
+  it("stops a channel", () => {
+    const runner = createTweenRunner();
+    const target = { x: 0 };
+    runner.play("move", createTween(target, { x: 1 }, { duration: 1 }));
+    runner.stop("move");
+    runner.update(1);
+    expect(target.x).toBe(0);
+  });
+});
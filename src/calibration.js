@@ -0,0 +1,249 @@
+// Where the machine's parts sit in the scene: the case and cartridge models
+// with their transforms, the cartridge slots and the screen, and the camera
+// views around them. Read from public/calibration.json (or
+// ?calibration=<url>), with adjustments made in the calibration panel saved
+// on top in localStorage.
+import { DEFAULT_DISPLAY, parseDisplay } from "./display";
+import { DEFAULT_CAMERA, parseCameraSettings } from "./cameraViews";
+import { isPlainObject, isPosition } from "./validation";
+import { loadStored, saveStored } from "./storage";
+
+export const DEFAULT_CALIBRATION_URL = "/calibration.json";
+
+export const DEFAULT_CALIBRATION = {
+  case: {
+    model: "/resources/case.stl",
+    position: [-10.8, 0, 0],
+    rotation: [90, 180, 180], // Degrees
+    scale: 0.4
+  },
+  cartridge: {
+    model: "/resources/cartrdige.stl",
+    rotation: [90, 180, 180],
+    scale: 0.4
+  },
+  screen: {
+    position: [-11, -0.1, 8.4],
+    distanceFactor: 24.4 // Size of the 1048x772 firmware page in the scene
+  },
+  // Bottom 4 slots of case.stl, top down
+  slots: [
+    [-10.8, -13.2, 0],
+    [-10.8, -22.8, 0],
+    [-10.8, -32.4, 0],
+    [-10.8, -42, 0]
+  ],
+  targetSlot: [-10.8, 0, 0], // Top slot, where cartridges are inserted
+  display: DEFAULT_DISPLAY, // Panel emulation for the screen, see display.js
+  camera: DEFAULT_CAMERA // Orbit limits and viewpoints, see cameraViews.js
+};
+
+const STORAGE_KEY = "calibration";
+export const CALIBRATION_FILE_NAME = "calibration.json";
+
+const MODEL_PATTERN = /\.(stl|glb)$/i;
+
+const isPositiveNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value > 0;
+
+export const getCalibrationUrl = () => {
+  const urlParams = new URLSearchParams(window.location.search);
+  return urlParams.get("calibration") || DEFAULT_CALIBRATION_URL;
+};
+
+// "stl" or "glb" from a model path, null when it's neither
+export const getModelFormat = (name) => {
+  const match = MODEL_PATTERN.exec(name);
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Degrees in the config, radians for three.js
+export const toRadians = (rotation) =>
+  rotation.map((degrees) => (degrees * Math.PI) / 180);
+
+// Check one field, falling back to the default with a readable error
+const pick = (errors, name, value, fallback, isValid, expected) => {
+  if (value === undefined) return fallback;
+  if (isValid(value)) return value;
+  errors.push(`Calibration "${name}" ${expected}, using default`);
+  return fallback;
+};
+
+const parseModelPart = (errors, name, raw, fallback) => {
+  if (raw === undefined) return fallback;
+  if (!isPlainObject(raw)) {
+    errors.push(`Calibration "${name}" must be an object, using defaults`);
+    return fallback;
+  }
+
+  const part = { ...fallback };
+  part.model = pick(
+    errors,
+    `${name}.model`,
+    raw.model,
+    fallback.model,
+    (value) => typeof value === "string" && getModelFormat(value) !== null,
+    "must be the path of an .stl or .glb file"
+  );
+  if (fallback.position) {
+    part.position = pick(
+      errors,
+      `${name}.position`,
+      raw.position,
+      fallback.position,
+      isPosition,
+      "must be an [x, y, z] position"
+    );
+  }
+  part.rotation = pick(
+    errors,
+    `${name}.rotation`,
+    raw.rotation,
+    fallback.rotation,
+    isPosition,
+    "must be [x, y, z] angles in degrees"
+  );
+  part.scale = pick(
+    errors,
+    `${name}.scale`,
+    raw.scale,
+    fallback.scale,
+    isPositiveNumber,
+    "must be a positive number"
+  );
+  return part;
+};
+
+// Turn raw calibration JSON into a complete calibration plus any errors,
+// starting from `base` for everything that isn't set
+export const parseCalibration = (raw, base = DEFAULT_CALIBRATION) => {
+  const errors = [];
+  if (!isPlainObject(raw)) {
+    return {
+      calibration: base,
+      errors: ["Calibration must be an object, using defaults"]
+    };
+  }
+
+  let screen = base.screen;
+  if (raw.screen !== undefined) {
+    const { position, distanceFactor } = isPlainObject(raw.screen)
+      ? { ...base.screen, ...raw.screen }
+      : {};
+    if (isPosition(position) && isPositiveNumber(distanceFactor)) {
+      screen = { position, distanceFactor };
+    } else {
+      errors.push(
+        'Calibration "screen" needs an [x, y, z] "position" and positive "distanceFactor", using default'
+      );
+    }
+  }
+
+  const calibration = {
+    case: parseModelPart(errors, "case", raw.case, base.case),
+    cartridge: parseModelPart(
+      errors,
+      "cartridge",
+      raw.cartridge,
+      base.cartridge
+    ),
+    screen,
+    slots: pick(
+      errors,
+      "slots",
+      raw.slots,
+      base.slots,
+      (value) =>
+        Array.isArray(value) && value.length > 0 && value.every(isPosition),
+      "must be a list of [x, y, z] positions"
+    ),
+    targetSlot: pick(
+      errors,
+      "targetSlot",
+      raw.targetSlot,
+      base.targetSlot,
+      isPosition,
+      "must be an [x, y, z] position"
+    ),
+    display: parseDisplay(errors, raw.display, base.display),
+    camera: parseCameraSettings(errors, raw.camera, base.camera)
+  };
+
+  return { calibration, errors };
+};
+
+// Fetch the calibration file. It is optional, so failures fall back to the
+// defaults and are reported as errors rather than thrown.
+export const loadCalibration = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return parseCalibration(await response.json());
+  } catch (error) {
+    return {
+      calibration: DEFAULT_CALIBRATION,
+      errors: [`Could not load calibration from ${url}, using defaults`]
+    };
+  }
+};
+
+// Adjustments made in the app, applied over the loaded file
+export const loadCalibrationOverrides = () => loadStored(STORAGE_KEY);
+
+export const saveCalibrationOverrides = (calibration) =>
+  saveStored(STORAGE_KEY, calibration || null);
+
+export const exportCalibration = (calibration) =>
+  JSON.stringify(calibration, null, 2) + "\n";
+
+// Parts that can be picked in the calibration panel: "case", "cartridge",
+// "screen", "targetSlot" or "slot:<index>"
+export const getCalibrationTargets = (calibration) => [
+  { id: "case", label: "Case" },
+  { id: "cartridge", label: "Cartridge model" },
+  { id: "screen", label: "Screen" },
+  { id: "targetSlot", label: "Top slot" },
+  ...calibration.slots.map((slot, index) => ({
+    id: `slot:${index}`,
+    label: `Slot ${index + 1}`
+  }))
+];
+
+// Position of a target, null for the cartridge model which has none
+export const getTargetPosition = (calibration, target) => {
+  if (target.startsWith("slot:")) {
+    return calibration.slots[Number(target.slice(5))] || null;
+  }
+  switch (target) {
+    case "case":
+      return calibration.case.position;
+    case "screen":
+      return calibration.screen.position;
+    case "targetSlot":
+      return calibration.targetSlot;
+    default:
+      return null;
+  }
+};
+
+export const setTargetPosition = (calibration, target, position) => {
+  if (target.startsWith("slot:")) {
+    const index = Number(target.slice(5));
+    return {
+      ...calibration,
+      slots: calibration.slots.map((slot, i) => (i === index ? position : slot))
+    };
+  }
+  switch (target) {
+    case "case":
+      return { ...calibration, case: { ...calibration.case, position } };
+    case "screen":
+      return { ...calibration, screen: { ...calibration.screen, position } };
+    case "targetSlot":
+      return { ...calibration, targetSlot: position };
+    default:
+      return calibration;
+  }
+};
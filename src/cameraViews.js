@@ -0,0 +1,135 @@
+// How the camera can move: the orbit limits and named viewpoints to jump to,
+// from the calibration's "camera" section.
+//
+//   limits         azimuth and polar are degrees either side of straight on,
+//                  maxDistance is per machine so a row of them still fits
+//   viewpoints     { id, label, target, orbit }, target relative to the
+//                  focused machine and orbit as in ?camera= (azimuth and polar
+//                  in degrees, distance). Shift+1-9 go to the first nine.
+//   focusOnInsert  id of a viewpoint to move to when a cartridge goes in,
+//                  null to leave the camera alone
+import * as THREE from "three";
+
+import { isPlainObject, isPosition } from "./validation";
+
+export const DEFAULT_CAMERA = {
+  limits: { azimuth: 45, polar: 25, minDistance: 50, maxDistance: 300 },
+  viewpoints: [
+    { id: "front", label: "Front", target: [-10.8, 0, 0], orbit: [0, 90, 100] },
+    {
+      id: "screen",
+      label: "Screen",
+      target: [-11, -0.1, 8.4],
+      orbit: [0, 90, 65]
+    },
+    { id: "slot", label: "Slot", target: [36, 21, 2], orbit: [10, 70, 50] },
+    {
+      id: "three-quarter",
+      label: "Three-quarter",
+      target: [-10.8, 0, 0],
+      orbit: [35, 75, 110]
+    }
+  ],
+  focusOnInsert: null
+};
+
+const isOrbit = (value) => isPosition(value) && value[2] > 0;
+
+const isViewpoint = (value) =>
+  isPlainObject(value) &&
+  typeof value.id === "string" &&
+  typeof value.label === "string" &&
+  isPosition(value.target) &&
+  isOrbit(value.orbit);
+
+const LIMIT_RANGES = {
+  azimuth: [0, 180],
+  polar: [0, 90],
+  minDistance: [0, Infinity],
+  maxDistance: [0, Infinity]
+};
+
+// Check the calibration's "camera" section, keeping the fallback for anything
+// missing or invalid and explaining what was wrong in errors
+export const parseCameraSettings = (errors, raw, fallback = DEFAULT_CAMERA) => {
+  if (raw === undefined) return fallback;
+  if (!isPlainObject(raw)) {
+    errors.push('Calibration "camera" must be an object, using defaults');
+    return fallback;
+  }
+
+  const limits = { ...fallback.limits };
+  if (raw.limits !== undefined) {
+    Object.entries(LIMIT_RANGES).forEach(([key, [min, max]]) => {
+      const value = raw.limits && raw.limits[key];
+      if (value === undefined) return;
+      if (typeof value === "number" && value >= min && value <= max) {
+        limits[key] = value;
+      } else {
+        const range =
+          max < Infinity ? `from ${min} to ${max}` : `${min} or more`;
+        errors.push(
+          `Calibration "camera.limits.${key}" must be a number ${range}, using default`
+        );
+      }
+    });
+  }
+  if (limits.maxDistance < limits.minDistance) {
+    errors.push(
+      'Calibration "camera.limits.maxDistance" is below minDistance, using defaults'
+    );
+    limits.minDistance = fallback.limits.minDistance;
+    limits.maxDistance = fallback.limits.maxDistance;
+  }
+
+  let { viewpoints } = fallback;
+  if (raw.viewpoints !== undefined) {
+    if (Array.isArray(raw.viewpoints) && raw.viewpoints.every(isViewpoint)) {
+      viewpoints = raw.viewpoints;
+    } else {
+      errors.push(
+        'Calibration "camera.viewpoints" must be a list of { id, label, target, orbit }, using default'
+      );
+    }
+  }
+
+  let { focusOnInsert } = fallback;
+  if (raw.focusOnInsert !== undefined) {
+    if (
+      raw.focusOnInsert === null ||
+      viewpoints.some(({ id }) => id === raw.focusOnInsert)
+    ) {
+      focusOnInsert = raw.focusOnInsert;
+    } else {
+      errors.push(
+        'Calibration "camera.focusOnInsert" must be a viewpoint id or null, using default'
+      );
+    }
+  }
+
+  return { limits, viewpoints, focusOnInsert };
+};
+
+// OrbitControls props for the limits, fitting count machines
+export const getOrbitLimits = (limits, count) => {
+  const azimuth = THREE.MathUtils.degToRad(limits.azimuth);
+  const polar = THREE.MathUtils.degToRad(limits.polar);
+  return {
+    minDistance: limits.minDistance,
+    maxDistance: limits.maxDistance * count,
+    minPolarAngle: Math.PI / 2 - polar,
+    maxPolarAngle: Math.PI / 2 + polar,
+    minAzimuthAngle: -azimuth,
+    maxAzimuthAngle: azimuth
+  };
+};
+
+// Where the camera goes for a viewpoint of the machine at machineOffset: a
+// target in the scene and an orbit around it in radians
+export const getViewpointMove = ({ id, target, orbit }, machineOffset) => ({
+  id,
+  target: target.map((value, axis) => value + machineOffset[axis]),
+  azimuth: THREE.MathUtils.degToRad(orbit[0]),
+  polar: THREE.MathUtils.degToRad(orbit[1]),
+  distance: orbit[2]
+});
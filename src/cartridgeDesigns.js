@@ -0,0 +1,94 @@
+// Cartridges designed in the browser, kept in localStorage and shown after
+// the manifest's own cartridges. Designs use the manifest's cartridge format,
+// so an exported file can be merged into cartridges.json as is.
+import { parseCartridgeManifest } from "./cartridges";
+import { loadStored, saveStored } from "./storage";
+
+const STORAGE_KEY = "designs";
+export const DESIGNS_FILE_NAME = "cartridge-designs.json";
+
+export const loadCartridgeDesigns = () => {
+  const stored = loadStored(STORAGE_KEY, []);
+  // Anything edited by hand that no longer validates is left out
+  return Array.isArray(stored)
+    ? parseCartridgeManifest({ cartridges: stored }).cartridges
+    : [];
+};
+
+export const saveCartridgeDesigns = (designs) =>
+  saveStored(STORAGE_KEY, designs);
+
+// A new design with a fresh id, ready to be edited
+export const createCartridgeDesign = () => {
+  const id = `design-${Date.now().toString(36)}`;
+  return {
+    id,
+    label: "New Cartridge",
+    color: "#B48CFF",
+    app: id,
+    icon: null,
+    artwork: null,
+    url: null,
+    params: {}
+  };
+};
+
+// Check a design, returning the cleaned up cartridge and any problems
+export const validateCartridgeDesign = (design) => {
+  const { cartridges, errors } = parseCartridgeManifest({
+    cartridges: [design]
+  });
+  return { design: cartridges[0] || null, errors };
+};
+
+// Manifest fragment holding the designs, leaving out empty optional fields
+export const exportCartridgeDesigns = (designs) =>
+  JSON.stringify(
+    {
+      cartridges: designs.map(({ icon, artwork, url, params, ...rest }) => ({
+        ...rest,
+        ...(icon ? { icon } : {}),
+        ...(artwork ? { artwork } : {}),
+        ...(url ? { url } : {}),
+        ...(Object.keys(params).length > 0 ? { params } : {})
+      }))
+    },
+    null,
+    2
+  ) + "\n";
+
+// Read designs from an exported file (or a bare list of cartridges)
+export const importCartridgeDesigns = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Design file is not valid JSON");
+  }
+  return parseCartridgeManifest(
+    Array.isArray(data) ? { cartridges: data } : data
+  );
+};
+
+// Catalog with the designs added after the manifest's cartridges. Designs
+// reusing a manifest id are left out, the manifest wins.
+export const addCartridgeDesigns = (catalog, designs) => {
+  const manifestIds = new Set(catalog.cartridges.map(({ id }) => id));
+  return {
+    ...catalog,
+    cartridges: [
+      ...catalog.cartridges,
+      ...designs.filter(({ id }) => !manifestIds.has(id))
+    ]
+  };
+};
+
+// Add imported designs, replacing saved ones with the same id
+export const mergeCartridgeDesigns = (designs, imported) => {
+  const importedById = new Map(imported.map((design) => [design.id, design]));
+  const savedIds = new Set(designs.map((design) => design.id));
+  return [
+    ...designs.map((design) => importedById.get(design.id) || design),
+    ...imported.filter((design) => !savedIds.has(design.id))
+  ];
+};
@@ -0,0 +1,258 @@
+// Cartridge catalog loading and validation
+import { isHttpUrl, isPlainObject, isPosition } from "./validation";
+
+export const DEFAULT_MANIFEST_URL = "/cartridges.json";
+
+// Pause between ejecting one cartridge and inserting the next when swapping (ms)
+export const DEFAULT_SWAP_DELAY = 1000;
+
+// Off-case rack to the right of the machine for cartridges that don't fit in a slot
+export const DEFAULT_SHELF = {
+  origin: [22, 0, 0], // Top row
+  rows: 5, // Cartridges per page
+  spacing: 9.6 // Same pitch as the case slots
+};
+
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const APP_PATTERN = /^[\w-]+$/;
+
+// Get manifest URL from the ?manifest= query param, falling back to the bundled one
+export const getManifestUrl = () => {
+  const urlParams = new URLSearchParams(window.location.search);
+  return urlParams.get("manifest") || DEFAULT_MANIFEST_URL;
+};
+
+// Validate a single entry, returning a list of readable problems
+const validateCartridge = (entry, seenIds) => {
+  const problems = [];
+
+  if (!isPlainObject(entry)) {
+    return ["is not an object"];
+  }
+  if (typeof entry.id !== "string" || entry.id.trim() === "") {
+    problems.push('is missing an "id"');
+  } else if (seenIds.has(entry.id)) {
+    problems.push(`reuses the id "${entry.id}"`);
+  }
+  if (typeof entry.app !== "string" || !APP_PATTERN.test(entry.app)) {
+    problems.push('needs an "app" name made of letters, numbers, - or _');
+  }
+  if (typeof entry.color !== "string" || !COLOR_PATTERN.test(entry.color)) {
+    problems.push('needs a hex "color" such as "#2D8FFF"');
+  }
+  if (entry.label !== undefined && typeof entry.label !== "string") {
+    problems.push('has a "label" that is not a string');
+  }
+  if (entry.icon !== undefined && typeof entry.icon !== "string") {
+    problems.push('has an "icon" that is not a string');
+  }
+  if (
+    entry.artwork !== undefined &&
+    (typeof entry.artwork !== "string" || entry.artwork.trim() === "")
+  ) {
+    problems.push('has an "artwork" that is not an image URL');
+  }
+  if (
+    entry.url !== undefined &&
+    (typeof entry.url !== "string" || !isHttpUrl(entry.url))
+  ) {
+    problems.push('has a "url" that is not an http(s) URL');
+  }
+  if (entry.params !== undefined) {
+    if (!isPlainObject(entry.params)) {
+      problems.push('has "params" that is not an object');
+    } else {
+      Object.entries(entry.params).forEach(([key, value]) => {
+        if (!["string", "number", "boolean"].includes(typeof value)) {
+          problems.push(`has a non-scalar value for param "${key}"`);
+        }
+      });
+    }
+  }
+
+  return problems;
+};
+
+// Turn raw manifest JSON into slots, target slot and valid cartridges.
+// Slots the manifest leaves out are null, to be filled in by withCalibration.
+// Invalid entries are dropped and described in `errors`.
+export const parseCartridgeManifest = (manifest) => {
+  const errors = [];
+
+  if (!isPlainObject(manifest) || !Array.isArray(manifest.cartridges)) {
+    throw new Error(
+      'Cartridge manifest must be an object with a "cartridges" list'
+    );
+  }
+
+  // Slot positions normally come from the calibration (null), a manifest can pin its own
+  let slots = null;
+  if (manifest.slots !== undefined) {
+    if (
+      Array.isArray(manifest.slots) &&
+      manifest.slots.length > 0 &&
+      manifest.slots.every(isPosition)
+    ) {
+      slots = manifest.slots;
+    } else {
+      errors.push(
+        '"slots" must be a list of [x, y, z] positions, using calibration'
+      );
+    }
+  }
+
+  let targetSlot = null;
+  if (manifest.targetSlot !== undefined) {
+    if (isPosition(manifest.targetSlot)) {
+      targetSlot = manifest.targetSlot;
+    } else {
+      errors.push(
+        '"targetSlot" must be an [x, y, z] position, using calibration'
+      );
+    }
+  }
+
+  let shelf = DEFAULT_SHELF;
+  if (manifest.shelf !== undefined) {
+    const { origin, rows, spacing } = isPlainObject(manifest.shelf)
+      ? { ...DEFAULT_SHELF, ...manifest.shelf }
+      : {};
+    if (
+      isPosition(origin) &&
+      Number.isInteger(rows) &&
+      rows > 0 &&
+      typeof spacing === "number" &&
+      spacing > 0
+    ) {
+      shelf = { origin, rows, spacing };
+    } else {
+      errors.push(
+        '"shelf" needs an [x, y, z] "origin", whole number of "rows" and positive "spacing", using defaults'
+      );
+    }
+  }
+
+  let swapDelay = DEFAULT_SWAP_DELAY;
+  if (manifest.swapDelay !== undefined) {
+    if (
+      typeof manifest.swapDelay === "number" &&
+      Number.isFinite(manifest.swapDelay) &&
+      manifest.swapDelay >= 0
+    ) {
+      swapDelay = manifest.swapDelay;
+    } else {
+      errors.push(
+        '"swapDelay" must be a number of milliseconds, using default'
+      );
+    }
+  }
+
+  const seenIds = new Set();
+  const cartridges = [];
+
+  manifest.cartridges.forEach((entry, index) => {
+    const problems = validateCartridge(entry, seenIds);
+    if (problems.length > 0) {
+      const name =
+        isPlainObject(entry) && typeof entry.id === "string"
+          ? `"${entry.id}"`
+          : `#${index + 1}`;
+      errors.push(`Cartridge ${name} ${problems.join(", ")}`);
+      return;
+    }
+
+    seenIds.add(entry.id);
+    cartridges.push({
+      id: entry.id,
+      label: entry.label || entry.app,
+      color: entry.color,
+      app: entry.app,
+      icon: entry.icon || null,
+      artwork: entry.artwork || null, // Label image, a label is drawn when missing
+      url: entry.url || null, // Firmware page loaded instead of the configured firmware
+      params: entry.params || {}
+    });
+  });
+
+  return { slots, targetSlot, shelf, swapDelay, cartridges, errors };
+};
+
+// Catalog using the calibrated slots unless the manifest set its own
+export const withCalibration = (catalog, calibration) => ({
+  ...catalog,
+  slots: catalog.slots || calibration.slots,
+  targetSlot: catalog.targetSlot || calibration.targetSlot
+});
+
+// Home position of a cartridge: the case slots fill first, the rest go on
+// shelf rows page by page (page is null for cartridges that live in the case)
+export const getCartridgeHome = (catalog, index) => {
+  const { slots, shelf } = catalog;
+  if (index < slots.length) {
+    return { position: slots[index], page: null };
+  }
+
+  const shelfIndex = index - slots.length;
+  const row = shelfIndex % shelf.rows;
+  return {
+    position: [
+      shelf.origin[0],
+      shelf.origin[1] - row * shelf.spacing,
+      shelf.origin[2]
+    ],
+    page: Math.floor(shelfIndex / shelf.rows)
+  };
+};
+
+export const getShelfPageCount = (catalog) =>
+  Math.ceil(
+    Math.max(0, catalog.cartridges.length - catalog.slots.length) /
+      catalog.shelf.rows
+  );
+
+// Fetch and parse a manifest, turning network and JSON failures into readable errors
+export const loadCartridgeManifest = async (url) => {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new Error(`Could not reach cartridge manifest at ${url}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(
+      `Could not load cartridge manifest from ${url} (HTTP ${response.status})`
+    );
+  }
+
+  let manifest;
+  try {
+    manifest = await response.json();
+  } catch (error) {
+    throw new Error(`Cartridge manifest at ${url} is not valid JSON`);
+  }
+
+  return parseCartridgeManifest(manifest);
+};
+
+// Build the firmware URL for a cartridge (or the empty slot when cartridge is null).
+// Cartridges with their own url load that page as is.
+export const buildFirmwareUrl = (baseUrl, apiKey, cartridge) => {
+  if (cartridge && cartridge.url) {
+    return cartridge.url;
+  }
+
+  const query = new URLSearchParams();
+  if (apiKey) {
+    query.set("fccApiKey", apiKey);
+  }
+  if (cartridge) {
+    Object.entries(cartridge.params).forEach(([key, value]) => {
+      query.set(key, String(value));
+    });
+  }
+
+  const search = query.toString();
+  const url = search ? `${baseUrl}/?${search}` : baseUrl;
+  return cartridge ? `${url}#${cartridge.app}` : url;
+};
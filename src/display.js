@@ -0,0 +1,199 @@
+// Optional emulation of the device's display panel: the firmware output drawn
+// as a texture on a mesh in the scene, so it's lit, occluded and exported like
+// everything else, through a shader imitating the panel. Set in the
+// calibration's "display" section and switched with ?screen=texture|html.
+//
+// Frames come from, by "source":
+//   canvas    a <canvas> in a same-origin firmware page ([data-screen] first)
+//   stream    the same canvas through captureStream(), for WebGL canvases
+//             that clear their drawing buffer
+//   capture   the bridge's screen:capture, which works across origins but
+//             only a few times a second
+//   auto      canvas when there is one, capture otherwise
+import * as THREE from "three";
+
+import { SCREEN_HEIGHT, SCREEN_WIDTH } from "./sceneExport";
+import { isPlainObject } from "./validation";
+
+export const DisplaySource = {
+  AUTO: "auto",
+  CANVAS: "canvas",
+  STREAM: "stream",
+  CAPTURE: "capture"
+};
+
+export const DEFAULT_DISPLAY = {
+  enabled: false,
+  source: DisplaySource.AUTO,
+  resolution: [SCREEN_WIDTH, SCREEN_HEIGHT], // Physical pixels of the panel
+  pixelGrid: 0, // 0..1, dark gaps between pixels
+  scanlines: 0, // 0..1, dark gaps between rows
+  brightness: 1, // Multiplier
+  glare: 0.3, // 0..1, reflection of the key light on the glass
+  falloff: 0.4 // 0..1, dimming and washing out when seen from the side
+};
+
+// Limits of the numeric settings, also used for the calibration panel's sliders
+export const DISPLAY_RANGES = {
+  pixelGrid: [0, 1],
+  scanlines: [0, 1],
+  brightness: [0, 3],
+  glare: [0, 1],
+  falloff: [0, 1]
+};
+
+const MAX_RESOLUTION = 4096;
+
+const isResolution = (value) =>
+  Array.isArray(value) &&
+  value.length === 2 &&
+  value.every((n) => Number.isInteger(n) && n > 0 && n <= MAX_RESOLUTION);
+
+// Check the calibration's "display" section, keeping the fallback for
+// anything missing or invalid and explaining what was wrong in errors
+export const parseDisplay = (errors, raw, fallback = DEFAULT_DISPLAY) => {
+  if (raw === undefined) return fallback;
+  if (!isPlainObject(raw)) {
+    errors.push('Calibration "display" must be an object, using defaults');
+    return fallback;
+  }
+
+  const display = { ...fallback };
+  const check = (key, isValid, expected) => {
+    if (raw[key] === undefined) return;
+    if (isValid(raw[key])) {
+      display[key] = raw[key];
+    } else {
+      errors.push(`Calibration "display.${key}" ${expected}, using default`);
+    }
+  };
+
+  check(
+    "enabled",
+    (value) => typeof value === "boolean",
+    "must be true or false"
+  );
+  check(
+    "source",
+    (value) => Object.values(DisplaySource).includes(value),
+    `must be one of ${Object.values(DisplaySource).join(", ")}`
+  );
+  check("resolution", isResolution, "must be [width, height] in pixels");
+  Object.entries(DISPLAY_RANGES).forEach(([key, [min, max]]) =>
+    check(
+      key,
+      (value) => typeof value === "number" && value >= min && value <= max,
+      `must be a number from ${min} to ${max}`
+    )
+  );
+  return display;
+};
+
+// Whether the screen is drawn as a texture, ?screen= winning over the calibration
+export const isDisplayEnabled = (display) => {
+  const mode = new URLSearchParams(window.location.search).get("screen");
+  if (mode === "texture") return true;
+  if (mode === "html") return false;
+  return display.enabled;
+};
+
+// The firmware's screen canvas, when its page is same-origin and has one
+export const findScreenCanvas = (iframe) => {
+  let page = null;
+  try {
+    page = iframe ? iframe.contentDocument : null;
+  } catch (error) {
+    return null; // Cross-origin
+  }
+  if (!page) return null;
+  return (
+    page.querySelector("canvas[data-screen]") || page.querySelector("canvas")
+  );
+};
+
+const vertexShader = `
+  varying vec2 vUv;
+  varying vec3 vNormal;
+  varying vec3 vViewPosition;
+
+  void main() {
+    vUv = uv;
+    vNormal = normalize(normalMatrix * normal);
+    vec4 viewPosition = modelViewMatrix * vec4(position, 1.0);
+    vViewPosition = -viewPosition.xyz;
+    gl_Position = projectionMatrix * viewPosition;
+  }
+`;
+
+const fragmentShader = `
+  uniform sampler2D map;
+  uniform vec2 resolution;
+  uniform float pixelGrid;
+  uniform float scanlines;
+  uniform float brightness;
+  uniform float glare;
+  uniform float falloff;
+  uniform vec3 lightDirection; // In view space
+
+  varying vec2 vUv;
+  varying vec3 vNormal;
+  varying vec3 vViewPosition;
+
+  const float PI = 3.141592653589793;
+
+  void main() {
+    // One sample per physical pixel
+    vec2 cell = vUv * resolution;
+    vec3 color = texture2D(map, (floor(cell) + 0.5) / resolution).rgb;
+
+    // Dark gaps around each pixel and between rows
+    vec2 inCell = fract(cell);
+    vec2 edge = smoothstep(0.0, 0.2, inCell) * smoothstep(0.0, 0.2, 1.0 - inCell);
+    color *= mix(1.0, edge.x * edge.y, pixelGrid);
+    color *= mix(1.0, sin(inCell.y * PI), scanlines);
+    color *= brightness;
+
+    // Seen from the side the panel dims and loses contrast
+    vec3 normal = normalize(vNormal);
+    vec3 viewDirection = normalize(vViewPosition);
+    float facing = abs(dot(normal, viewDirection));
+    float luma = dot(color, vec3(0.299, 0.587, 0.114));
+    color = mix(color, vec3(luma), falloff * (1.0 - facing));
+    color *= mix(1.0, facing, falloff);
+
+    // The glass catches the key light, with a faint sheen toward the top
+    vec3 halfway = normalize(lightDirection + viewDirection);
+    float specular = pow(max(dot(normal, halfway), 0.0), 60.0);
+    color += glare * (specular + 0.06 * vUv.y);
+
+    gl_FragColor = vec4(color, 1.0);
+    #include <colorspace_fragment>
+  }
+`;
+
+// Shader material for the screen mesh. Update uniforms with applyDisplay and
+// set uniforms.map to the frame texture.
+export const createDisplayMaterial = () =>
+  new THREE.ShaderMaterial({
+    uniforms: {
+      map: { value: null },
+      resolution: { value: new THREE.Vector2(SCREEN_WIDTH, SCREEN_HEIGHT) },
+      pixelGrid: { value: 0 },
+      scanlines: { value: 0 },
+      brightness: { value: 1 },
+      glare: { value: 0 },
+      falloff: { value: 0 },
+      lightDirection: { value: new THREE.Vector3(0, 0, 1) }
+    },
+    vertexShader,
+    fragmentShader,
+    toneMapped: false
+  });
+
+export const applyDisplay = (material, display) => {
+  const { uniforms } = material;
+  uniforms.resolution.value.fromArray(display.resolution);
+  Object.keys(DISPLAY_RANGES).forEach((key) => {
+    uniforms[key].value = display[key];
+  });
+};
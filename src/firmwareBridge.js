@@ -0,0 +1,126 @@
+// postMessage protocol between the simulator (host) and the firmware iframe.
+//
+// Every message is { source: "cartridge-machine", type, payload } so other
+// postMessage traffic on the page is ignored.
+//
+// Host -> firmware
+//   cartridge:inserted  { id, app, label }
+//   cartridge:ejected   { id, app, label }
+//   button              { button, action: "press" | "release" }
+//   encoder             { encoder, delta: -1 | 1 }  (one detent, positive is clockwise)
+//   screen:capture      { id }  asks for an image of the screen, for exports
+//   power               { state: "idle" | "running" | "sleep" }  sent when it
+//                       changes and on firmware:ready; the iframe is removed
+//                       while the machine is off
+//
+// Firmware -> host
+//   firmware:ready
+//   firmware:loading    { progress?: 0..1 }
+//   firmware:error      { message }
+//   cartridge:request-eject
+//   screen:captured     { id, image }  answer to screen:capture, image is a
+//                       PNG data URL of the 1048x772 screen
+//   screen:escape       Escape was pressed in the firmware, which has the
+//                       keyboard while its screen is being used
+import { useCallback, useEffect, useRef } from "react";
+
+export const BRIDGE_SOURCE = "cartridge-machine";
+
+export const HostMessage = {
+  CARTRIDGE_INSERTED: "cartridge:inserted",
+  CARTRIDGE_EJECTED: "cartridge:ejected",
+  BUTTON: "button",
+  ENCODER: "encoder",
+  CAPTURE_SCREEN: "screen:capture",
+  POWER: "power"
+};
+
+export const FirmwareMessage = {
+  READY: "firmware:ready",
+  LOADING: "firmware:loading",
+  ERROR: "firmware:error",
+  REQUEST_EJECT: "cartridge:request-eject",
+  SCREEN_CAPTURED: "screen:captured",
+  SCREEN_ESCAPE: "screen:escape"
+};
+
+const FIRMWARE_TYPES = Object.values(FirmwareMessage);
+
+export const createMessage = (type, payload = {}) => ({
+  source: BRIDGE_SOURCE,
+  type,
+  payload
+});
+
+// Validate incoming data, returning { type, payload } or null for anything else
+export const parseFirmwareMessage = (data) => {
+  if (
+    data === null ||
+    typeof data !== "object" ||
+    data.source !== BRIDGE_SOURCE ||
+    !FIRMWARE_TYPES.includes(data.type)
+  ) {
+    return null;
+  }
+
+  const payload =
+    data.payload !== null && typeof data.payload === "object"
+      ? data.payload
+      : {};
+  return { type: data.type, payload };
+};
+
+// Cartridge details sent along with insert/eject events
+export const describeCartridge = ({ id, app, label }) => ({ id, app, label });
+
+// The origin to post to, null when the URL doesn't have one to match against
+export const getOrigin = (url) => {
+  try {
+    const { origin } = new URL(url, window.location.href);
+    return origin === "null" ? null : origin;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Listen to messages from the firmware iframe and return a send(type, payload)
+// function. Only messages from that iframe's window and origin are accepted.
+export function useFirmwareBridge(iframeRef, firmwareUrl, onMessage) {
+  const origin = getOrigin(firmwareUrl);
+  const onMessageRef = useRef(onMessage);
+
+  useEffect(() => {
+    onMessageRef.current = onMessage;
+  });
+
+  useEffect(() => {
+    const handleMessage = (event) => {
+      const iframe = iframeRef.current;
+      if (
+        !iframe ||
+        event.source !== iframe.contentWindow ||
+        event.origin !== origin
+      ) {
+        return;
+      }
+
+      const message = parseFirmwareMessage(event.data);
+      if (message) {
+        onMessageRef.current(message);
+      }
+    };
+
+    window.addEventListener("message", handleMessage);
+    return () => window.removeEventListener("message", handleMessage);
+  }, [iframeRef, origin]);
+
+  return useCallback(
+    (type, payload) => {
+      const iframe = iframeRef.current;
+      if (origin && iframe && iframe.contentWindow) {
+        iframe.contentWindow.postMessage(createMessage(type, payload), origin);
+      }
+    },
+    [iframeRef, origin]
+  );
+}
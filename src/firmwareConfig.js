@@ -0,0 +1,79 @@
+// Where the firmware is loaded from. The first of these wins:
+//   ?firmware=<url> and ?fccApiKey=<key> query params
+//   the settings panel (saved in localStorage)
+//   REACT_APP_FIRMWARE_URL and REACT_APP_FCC_API_KEY at build time
+//   the hosted firmware with the DEMO key
+// Anything that isn't an http(s) URL is skipped, so a mistyped query param or
+// saved setting falls through to the next one instead of breaking the iframe.
+import { loadStored, saveStored } from "./storage";
+import { isHttpUrl } from "./validation";
+
+export const DEFAULT_FIRMWARE_URL =
+  "https://cartridge-machine-firmware.fcc.lol";
+export const DEFAULT_API_KEY = "DEMO";
+
+// Quick picks for the settings panel
+export const FIRMWARE_PRESETS = [
+  { label: "Hosted", url: DEFAULT_FIRMWARE_URL },
+  { label: "Local", url: "http://localhost:3001" },
+  { label: "Mock (offline)", url: "/mock-firmware" }
+];
+
+const STORAGE_KEY = "firmware";
+const PROBE_TIMEOUT = 5000;
+
+export const loadFirmwareSettings = () => loadStored(STORAGE_KEY, {});
+
+export const saveFirmwareSettings = (settings) =>
+  saveStored(STORAGE_KEY, settings);
+
+// Strip trailing slashes so URLs can be joined with "/?..."
+export const normalizeBaseUrl = (url) => url.trim().replace(/\/+$/, "");
+
+// A base URL the firmware can be loaded from
+export const isFirmwareUrl = (url) =>
+  typeof url === "string" && url.trim() !== "" && isHttpUrl(url);
+
+// Resolve the base URL and API key, noting which ones come from the query string
+export const resolveFirmwareConfig = (settings) => {
+  const urlParams = new URLSearchParams(window.location.search);
+  const queryUrl = urlParams.get("firmware");
+  const queryApiKey = urlParams.get("fccApiKey");
+  const baseUrl = [
+    queryUrl,
+    settings.baseUrl,
+    process.env.REACT_APP_FIRMWARE_URL,
+    DEFAULT_FIRMWARE_URL
+  ].find(isFirmwareUrl);
+
+  return {
+    baseUrl: normalizeBaseUrl(baseUrl),
+    apiKey:
+      queryApiKey ||
+      settings.apiKey ||
+      process.env.REACT_APP_FCC_API_KEY ||
+      DEFAULT_API_KEY,
+    baseUrlFromQuery: isFirmwareUrl(queryUrl),
+    apiKeyFromQuery: Boolean(queryApiKey)
+  };
+};
+
+// Check whether the firmware can be reached at all. A no-cors request only
+// tells us the server answered, which is all the iframe needs.
+export const probeFirmware = async (url) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+
+  try {
+    await fetch(url, {
+      mode: "no-cors",
+      cache: "no-store",
+      signal: controller.signal
+    });
+    return true;
+  } catch (error) {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+};
@@ -0,0 +1,56 @@
+import {
+  DEFAULT_FIRMWARE_URL,
+  isFirmwareUrl,
+  resolveFirmwareConfig
+} from "./firmwareConfig";
+import { getOrigin } from "./firmwareBridge";
+
+const withQuery = (query) => window.history.replaceState({}, "", `/${query}`);
+
+afterEach(() => withQuery(""));
+
+describe("isFirmwareUrl", () => {
+  it.each(["https://example.com", "http://localhost:3001", "/mock-firmware"])(
+    "accepts %s",
+    (url) => {
+      expect(isFirmwareUrl(url)).toBe(true);
+    }
+  );
+
+  it.each(["", "  ", "http://exa mple.com", "http://[::1", "localhost:3001"])(
+    "rejects %p",
+    (url) => {
+      expect(isFirmwareUrl(url)).toBe(false);
+    }
+  );
+});
+
+describe("resolveFirmwareConfig", () => {
+  it("prefers the query param over the saved setting", () => {
+    withQuery("?firmware=http://localhost:3001/");
+    const config = resolveFirmwareConfig({ baseUrl: "https://saved.test" });
+    expect(config.baseUrl).toBe("http://localhost:3001");
+    expect(config.baseUrlFromQuery).toBe(true);
+  });
+
+  it("skips a bad query param and saved setting", () => {
+    withQuery("?firmware=http://exa%20mple.com");
+    const config = resolveFirmwareConfig({ baseUrl: "http://[::1" });
+    expect(config.baseUrl).toBe(DEFAULT_FIRMWARE_URL);
+    expect(config.baseUrlFromQuery).toBe(false);
+  });
+});
+
+describe("getOrigin", () => {
+  it("gives the origin of absolute and relative URLs", () => {
+    expect(getOrigin("https://example.com/firmware")).toBe(
+      "https://example.com"
+    );
+    expect(getOrigin("/mock-firmware")).toBe(window.location.origin);
+  });
+
+  it("gives null instead of throwing for a URL without an origin", () => {
+    expect(getOrigin("http://[::1")).toBe(null);
+    expect(getOrigin("localhost:3001")).toBe(null);
+  });
+});
@@ -0,0 +1,134 @@
+// Kiosk mode for booth screens, where nobody is at the controls:
+//   ?kiosk=1                   cycle through cartridges on its own
+//   &playlist=<app>:<s>,...    cartridges to cycle through (app name or id) and
+//                              seconds to show each; every cartridge when left out
+//   &dwell=<s>                 seconds for cartridges without their own (20)
+//   &resume=<s>                seconds without input before it carries on (30)
+// The camera sways gently while it runs, the cursor is hidden and the page
+// can't be zoomed.
+import { useEffect, useState } from "react";
+
+const DEFAULT_DWELL = 20; // Seconds
+const DEFAULT_RESUME_AFTER = 30; // Seconds
+
+// Input that means someone is using the simulator
+const ACTIVITY_EVENTS = [
+  "pointerdown",
+  "pointermove",
+  "wheel",
+  "keydown",
+  "touchstart"
+];
+
+const readSeconds = (value, fallback) => {
+  const seconds = Number(value);
+  return value !== null && Number.isFinite(seconds) && seconds > 0
+    ? seconds
+    : fallback;
+};
+
+// null unless ?kiosk=1, otherwise { dwell, playlist, resumeAfter } with times
+// in seconds. playlist is [{ cartridge, dwell }], or null for every cartridge.
+export const readKioskConfig = () => {
+  const urlParams = new URLSearchParams(window.location.search);
+  if (urlParams.get("kiosk") !== "1") return null;
+
+  const dwell = readSeconds(urlParams.get("dwell"), DEFAULT_DWELL);
+  const playlist = urlParams.get("playlist");
+  return {
+    dwell,
+    playlist: playlist
+      ? playlist
+          .split(",")
+          .map((entry) => {
+            const [cartridge, seconds = null] = entry.trim().split(":");
+            return { cartridge, dwell: readSeconds(seconds, dwell) };
+          })
+          .filter(({ cartridge }) => cartridge)
+      : null,
+    resumeAfter: readSeconds(urlParams.get("resume"), DEFAULT_RESUME_AFTER)
+  };
+};
+
+// The playlist as cartridge indexes into a catalog, skipping entries it doesn't have
+export const resolvePlaylist = (config, cartridges) => {
+  if (!config.playlist) {
+    return cartridges.map((cartridge, index) => ({
+      index,
+      dwell: config.dwell
+    }));
+  }
+
+  return config.playlist
+    .map(({ cartridge, dwell }) => ({
+      index: cartridges.findIndex(
+        ({ id, app }) => app === cartridge || id === cartridge
+      ),
+      dwell
+    }))
+    .filter(({ index }) => index !== -1);
+};
+
+// True from the moment someone touches the simulator until resumeAfter seconds
+// without input. Does nothing when resumeAfter is null.
+export function useIdlePause(resumeAfter) {
+  const [isPaused, setIsPaused] = useState(false);
+
+  useEffect(() => {
+    if (resumeAfter === null) return;
+
+    let resumeTimer = null;
+    const handleActivity = () => {
+      setIsPaused(true);
+      clearTimeout(resumeTimer);
+      resumeTimer = setTimeout(() => setIsPaused(false), resumeAfter * 1000);
+    };
+
+    // Capture, so controls that stop propagation still count
+    ACTIVITY_EVENTS.forEach((type) =>
+      window.addEventListener(type, handleActivity, true)
+    );
+    return () => {
+      clearTimeout(resumeTimer);
+      ACTIVITY_EVENTS.forEach((type) =>
+        window.removeEventListener(type, handleActivity, true)
+      );
+    };
+  }, [resumeAfter]);
+
+  return isPaused;
+}
+
+const ZOOM_KEYS = ["+", "-", "=", "0"];
+
+// Hide the cursor and stop the browser zooming the page while isEnabled
+export function useKioskScreen(isEnabled) {
+  useEffect(() => {
+    if (!isEnabled) return;
+
+    // Beats the pointer cursor the cartridges and buttons set on hover
+    const style = document.createElement("style");
+    style.textContent = "* { cursor: none !important; }";
+    document.head.appendChild(style);
+
+    const handleWheel = (event) => {
+      if (event.ctrlKey) event.preventDefault(); // Pinch and ctrl+wheel
+    };
+    const handleKeyDown = (event) => {
+      if ((event.ctrlKey || event.metaKey) && ZOOM_KEYS.includes(event.key)) {
+        event.preventDefault();
+      }
+    };
+    const handleGesture = (event) => event.preventDefault(); // Safari pinch
+
+    window.addEventListener("wheel", handleWheel, { passive: false });
+    window.addEventListener("keydown", handleKeyDown);
+    document.addEventListener("gesturestart", handleGesture);
+    return () => {
+      style.remove();
+      window.removeEventListener("wheel", handleWheel);
+      window.removeEventListener("keydown", handleKeyDown);
+      document.removeEventListener("gesturestart", handleGesture);
+    };
+  }, [isEnabled]);
+}
@@ -0,0 +1,20 @@
+import { useEffect, useRef, useState } from "react";
+
+// An object of functions to hand out to parents, e.g. through an onReady
+// prop. It stays the same object across renders, but each call goes to the
+// functions from the latest render, so it never goes stale.
+export const useLatestApi = (functions) => {
+  const latestRef = useRef(functions);
+  useEffect(() => {
+    latestRef.current = functions;
+  });
+  const [api] = useState(() =>
+    Object.fromEntries(
+      Object.keys(functions).map((name) => [
+        name,
+        (...args) => latestRef.current[name](...args)
+      ])
+    )
+  );
+  return api;
+};
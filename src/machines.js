@@ -0,0 +1,83 @@
+// Machines shown side by side to compare firmware. The first one is always the
+// main machine, using the firmware from firmwareConfig.js. Others come from:
+//   ?machines=<url>,<url>   firmware base URLs, replacing the saved ones
+//   &linked=1               mirror cartridges between machines
+//   the settings panel (saved with the firmware settings)
+// Each extra machine has a label, a firmware base URL and optionally its own
+// API key and cartridge manifest; it uses the main machine's where it doesn't.
+import { isFirmwareUrl, normalizeBaseUrl } from "./firmwareConfig";
+
+export const MAIN_MACHINE_ID = "main";
+
+// Distance between machine centers, wide enough for the case and its shelf
+export const MACHINE_SPACING = 140;
+
+let nextMachineId = 0;
+
+export const createMachine = (fields = {}) => {
+  nextMachineId += 1;
+  return {
+    id: `machine-${Date.now().toString(36)}-${nextMachineId}`,
+    label: "",
+    baseUrl: "",
+    apiKey: "",
+    manifestUrl: "",
+    ...fields
+  };
+};
+
+const readMachineParams = () => {
+  const urlParams = new URLSearchParams(window.location.search);
+  const machines = urlParams.get("machines");
+  return {
+    baseUrls: machines
+      ? machines.split(",").map(normalizeBaseUrl).filter(isFirmwareUrl)
+      : null,
+    linked: urlParams.get("linked") === "1"
+  };
+};
+
+// Every machine with its settings filled in, the main machine first:
+// { id, label, baseUrl, apiKey, manifestUrl }
+export const resolveMachines = (settings, firmwareConfig, manifestUrl) => {
+  const { baseUrls } = readMachineParams();
+  const extras = baseUrls
+    ? baseUrls.map((baseUrl, index) => ({
+        id: `query-${index}`,
+        label: "",
+        baseUrl
+      }))
+    : (settings.machines || []).filter(
+        (machine) => machine && machine.id && isFirmwareUrl(machine.baseUrl)
+      );
+
+  return [
+    {
+      id: MAIN_MACHINE_ID,
+      label: extras.length > 0 ? "Main" : "",
+      baseUrl: firmwareConfig.baseUrl,
+      apiKey: firmwareConfig.apiKey,
+      manifestUrl
+    },
+    ...extras.map((machine, index) => ({
+      id: machine.id,
+      label: machine.label || `Machine ${index + 2}`,
+      baseUrl: normalizeBaseUrl(machine.baseUrl),
+      apiKey: machine.apiKey || firmwareConfig.apiKey,
+      manifestUrl: machine.manifestUrl || manifestUrl
+    }))
+  ];
+};
+
+export const resolveLinked = (settings) =>
+  readMachineParams().linked || Boolean(settings.linked);
+
+// Whether the machines come from the query string, which overrides the settings
+export const machinesFromQuery = () => readMachineParams().baseUrls !== null;
+
+// Where a machine stands: in a row along x, centered on the origin
+export const getMachineOffset = (index, count) => [
+  (index - (count - 1) / 2) * MACHINE_SPACING,
+  0,
+  0
+];
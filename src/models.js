@@ -0,0 +1,210 @@
+// Loading case and cartridge models as a single geometry, from STL or GLB.
+//
+// Parsed geometries are cached and shared by everything showing the same
+// model, counted by the components using them and disposed once the last
+// one unmounts. Byte progress and failures of all loads are published for
+// the loading overlay. Materials are declared in JSX, so react-three-fiber
+// disposes those itself.
+import { useEffect, useRef, useSyncExternalStore } from "react";
+import * as THREE from "three";
+
+import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+
+import { getModelFormat } from "./calibration";
+
+// Model source for a path from the calibration; dropped files carry their own format
+export const getModelSource = (url) => ({ url, format: getModelFormat(url) });
+
+// Flatten every mesh in a glTF scene into one geometry, so a GLB can be
+// tinted and animated just like an STL
+const mergeScene = (scene) => {
+  scene.updateMatrixWorld(true);
+  const parts = [];
+  scene.traverse((object) => {
+    if (!object.isMesh) return;
+    const part = new THREE.BufferGeometry();
+    const source = object.geometry.index
+      ? object.geometry.toNonIndexed()
+      : object.geometry;
+    part.setAttribute("position", source.getAttribute("position").clone());
+    part.applyMatrix4(object.matrixWorld);
+    parts.push(part);
+  });
+
+  // Only the merged copy is kept, free what the loader created
+  scene.traverse((object) => {
+    if (!object.isMesh) return;
+    object.geometry.dispose();
+    [].concat(object.material).forEach((material) => material.dispose());
+  });
+
+  if (parts.length === 0) {
+    throw new Error("GLB file has no meshes");
+  }
+  return mergeGeometries(parts);
+};
+
+const DISPOSE_DELAY = 1000; // Keeps models around while a shelf page remounts its cartridges
+
+export const loadModelGeometry = async ({ url, format }, onProgress) => {
+  let geometry;
+  if (format === "glb") {
+    const gltf = await new GLTFLoader().loadAsync(url, onProgress);
+    geometry = mergeScene(gltf.scene);
+  } else if (format === "stl") {
+    geometry = await new STLLoader().loadAsync(url, onProgress);
+  } else {
+    throw new Error("Models must be .stl or .glb files");
+  }
+
+  geometry.computeVertexNormals();
+  return geometry;
+};
+
+// key -> { source, status, geometry, error, loaded, total, users, loadId }
+const cache = new Map();
+const listeners = new Set();
+const getKey = ({ url, format }) => `${format}:${url}`;
+
+// Combined byte progress of the cached models and the ones that failed
+const summarize = () => {
+  const progress = { loaded: 0, total: 0, pending: 0, failures: [] };
+  cache.forEach((entry) => {
+    if (entry.status !== "error") {
+      progress.pending += entry.status === "loading" ? 1 : 0;
+      progress.loaded += entry.loaded;
+      progress.total += entry.total;
+    } else {
+      progress.failures.push({
+        name: entry.source.name || entry.source.url,
+        message: entry.error.message
+      });
+    }
+  });
+  return progress;
+};
+
+let progressSnapshot = summarize();
+
+const notify = () => {
+  progressSnapshot = summarize();
+  listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const startLoad = (entry) => {
+  entry.loadId += 1;
+  const loadId = entry.loadId;
+  const isCurrent = () =>
+    cache.get(getKey(entry.source)) === entry && entry.loadId === loadId;
+
+  Object.assign(entry, { status: "loading", error: null, loaded: 0, total: 0 });
+  loadModelGeometry(entry.source, (event) => {
+    if (!isCurrent()) return;
+    entry.loaded = event.loaded;
+    entry.total = event.lengthComputable ? event.total : 0;
+    notify();
+  })
+    .then((geometry) => {
+      if (!isCurrent()) {
+        geometry.dispose();
+        return;
+      }
+      Object.assign(entry, { status: "loaded", geometry });
+      notify();
+    })
+    .catch((error) => {
+      if (!isCurrent()) return;
+      Object.assign(entry, { status: "error", error });
+      notify();
+    });
+};
+
+const acquireModel = (source) => {
+  const key = getKey(source);
+  let entry = cache.get(key);
+  if (!entry) {
+    entry = { source, geometry: null, users: 0, loadId: 0 };
+    cache.set(key, entry);
+    startLoad(entry);
+    notify();
+  }
+  clearTimeout(entry.disposeTimer);
+  entry.users += 1;
+};
+
+const releaseModel = (source) => {
+  const key = getKey(source);
+  const entry = cache.get(key);
+  if (!entry) return;
+
+  entry.users -= 1;
+  if (entry.users > 0) return;
+  entry.disposeTimer = setTimeout(() => {
+    if (entry.users > 0) return;
+    cache.delete(key);
+    if (entry.geometry) entry.geometry.dispose();
+    notify();
+  }, DISPOSE_DELAY);
+};
+
+// Load every model that failed again
+export const retryFailedModels = () => {
+  cache.forEach((entry) => {
+    if (entry.status === "error") startLoad(entry);
+  });
+  notify();
+};
+
+// { loaded, total, pending, failures } across all models, total is 0 when
+// the server doesn't send sizes
+export const useModelLoadProgress = () =>
+  useSyncExternalStore(subscribe, () => progressSnapshot);
+
+// Shared geometry for a model source (or none), null until it has loaded.
+// onLoad is called once it's ready.
+export function useModelGeometry(source, onLoad) {
+  const { url, format, name } = source || {};
+
+  useEffect(() => {
+    if (!url) return;
+    const model = { url, format, name };
+    acquireModel(model);
+    return () => releaseModel(model);
+  }, [url, format, name]);
+
+  const geometry = useSyncExternalStore(subscribe, () => {
+    const entry = url ? cache.get(getKey({ url, format })) : null;
+    return (entry && entry.geometry) || null;
+  });
+
+  // Parents pass inline handlers, which mustn't count as a change
+  const onLoadRef = useRef(onLoad);
+  useEffect(() => {
+    onLoadRef.current = onLoad;
+  });
+
+  useEffect(() => {
+    if (geometry && onLoadRef.current) onLoadRef.current(); // Notify parent that the model is loaded
+  }, [geometry]);
+
+  return geometry;
+}
+
+// Bounds of a model in the scene relative to its position, for a model
+// drawn with the given rotation (radians) and uniform scale
+export const getModelBounds = (geometry, rotation, scale) => {
+  if (!geometry.boundingBox) geometry.computeBoundingBox();
+  const matrix = new THREE.Matrix4().compose(
+    new THREE.Vector3(),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(...rotation)),
+    new THREE.Vector3(scale, scale, scale)
+  );
+  return geometry.boundingBox.clone().applyMatrix4(matrix);
+};
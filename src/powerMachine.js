@@ -0,0 +1,96 @@
+// Power state machine for a machine, independent of React and three.js.
+//
+// States
+//   off       nothing runs, the screen is black
+//   booting   the boot animation plays while the firmware loads underneath
+//   idle      on with the slot empty
+//   running   on with a cartridge in the slot
+//   sleep     the screen is dimmed after a while without use
+//
+// The power button turns the machine on and off, and wakes it from sleep.
+// Using it (buttons, cartridges) also wakes it and holds off sleep.
+// `hasCartridge` is tracked in every state so booting and waking know
+// whether to land in idle or running.
+//
+//   ?power=on|off|boot   how machines start (boot by default, on for exports)
+//   &sleep=<seconds>     idle time before sleeping, 0 never sleeps (300)
+
+export const PowerState = {
+  OFF: "off",
+  BOOTING: "booting",
+  IDLE: "idle",
+  RUNNING: "running",
+  SLEEP: "sleep"
+};
+
+export const PowerEvent = {
+  PRESS: "press", // the power button
+  BOOT_DONE: "bootDone", // the boot animation finished
+  CARTRIDGE: "cartridge", // { hasCartridge } the slot filled or emptied
+  ACTIVITY: "activity", // someone used the machine
+  IDLE_TIMEOUT: "idleTimeout" // nobody has for the sleep time
+};
+
+export const BOOT_DURATION = 2500; // ms
+const DEFAULT_SLEEP_AFTER = 300; // Seconds
+
+const awake = (hasCartridge) => ({
+  status: hasCartridge ? PowerState.RUNNING : PowerState.IDLE,
+  hasCartridge
+});
+
+export const isPoweredOn = ({ status }) =>
+  status !== PowerState.OFF && status !== PowerState.BOOTING;
+
+// How machines start, from ?power= (exports skip the boot animation)
+export const getInitialPowerState = (hasCartridge = false) => {
+  const urlParams = new URLSearchParams(window.location.search);
+  const power =
+    urlParams.get("power") || (urlParams.has("export") ? "on" : "boot");
+  if (power === "on") return awake(hasCartridge);
+  return {
+    status: power === "off" ? PowerState.OFF : PowerState.BOOTING,
+    hasCartridge
+  };
+};
+
+// Seconds of inactivity before sleeping, null to never sleep
+export const getSleepAfter = () => {
+  const value = new URLSearchParams(window.location.search).get("sleep");
+  const seconds = value === null ? DEFAULT_SLEEP_AFTER : Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) return DEFAULT_SLEEP_AFTER;
+  return seconds > 0 ? seconds : null;
+};
+
+export const powerReducer = (state, event) => {
+  const { status, hasCartridge } = state;
+
+  switch (event.type) {
+    case PowerEvent.PRESS:
+      if (status === PowerState.OFF) {
+        return { status: PowerState.BOOTING, hasCartridge };
+      }
+      if (status === PowerState.SLEEP) return awake(hasCartridge);
+      return { status: PowerState.OFF, hasCartridge };
+
+    case PowerEvent.BOOT_DONE:
+      return status === PowerState.BOOTING ? awake(hasCartridge) : state;
+
+    case PowerEvent.CARTRIDGE:
+      if (event.hasCartridge === hasCartridge) return state;
+      // A cartridge going in or out wakes a sleeping machine
+      if (isPoweredOn(state)) return awake(event.hasCartridge);
+      return { status, hasCartridge: event.hasCartridge };
+
+    case PowerEvent.ACTIVITY:
+      return status === PowerState.SLEEP ? awake(hasCartridge) : state;
+
+    case PowerEvent.IDLE_TIMEOUT:
+      return status === PowerState.IDLE || status === PowerState.RUNNING
+        ? { status: PowerState.SLEEP, hasCartridge }
+        : state;
+
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,135 @@
+import {
+  PowerEvent,
+  PowerState,
+  getInitialPowerState,
+  getSleepAfter,
+  isPoweredOn,
+  powerReducer
+} from "./powerMachine";
+
+const run = (events, state) => events.reduce(powerReducer, state);
+
+const off = { status: PowerState.OFF, hasCartridge: false };
+const press = { type: PowerEvent.PRESS };
+const bootDone = { type: PowerEvent.BOOT_DONE };
+const activity = { type: PowerEvent.ACTIVITY };
+const idleTimeout = { type: PowerEvent.IDLE_TIMEOUT };
+const cartridge = (hasCartridge) => ({
+  type: PowerEvent.CARTRIDGE,
+  hasCartridge
+});
+
+const withQuery = (query) => window.history.replaceState({}, "", `/${query}`);
+
+afterEach(() => withQuery(""));
+
+describe("powerReducer", () => {
+  it("boots when pressed while off and lands idle", () => {
+    const booting = powerReducer(off, press);
+    expect(booting.status).toBe(PowerState.BOOTING);
+    expect(isPoweredOn(booting)).toBe(false);
+
+    const idle = powerReducer(booting, bootDone);
+    expect(idle.status).toBe(PowerState.IDLE);
+    expect(isPoweredOn(idle)).toBe(true);
+  });
+
+  it("lands running when a cartridge went in while booting", () => {
+    const state = run([press, cartridge(true), bootDone], off);
+    expect(state).toEqual({ status: PowerState.RUNNING, hasCartridge: true });
+  });
+
+  it("switches between idle and running as cartridges come and go", () => {
+    const running = run([press, bootDone, cartridge(true)], off);
+    expect(running.status).toBe(PowerState.RUNNING);
+    expect(powerReducer(running, cartridge(false)).status).toBe(
+      PowerState.IDLE
+    );
+  });
+
+  it("turns off when pressed while on or booting", () => {
+    expect(run([press, bootDone, press], off).status).toBe(PowerState.OFF);
+    expect(run([press, press], off).status).toBe(PowerState.OFF);
+  });
+
+  it("keeps track of cartridges while off without turning on", () => {
+    const state = powerReducer(off, cartridge(true));
+    expect(state).toEqual({ status: PowerState.OFF, hasCartridge: true });
+    expect(run([press, bootDone], state).status).toBe(PowerState.RUNNING);
+  });
+
+  it("ignores a late boot done", () => {
+    const idle = run([press, bootDone], off);
+    expect(powerReducer(idle, bootDone)).toBe(idle);
+    expect(powerReducer(off, bootDone)).toBe(off);
+  });
+
+  describe("sleep", () => {
+    const running = { status: PowerState.RUNNING, hasCartridge: true };
+    const asleep = { status: PowerState.SLEEP, hasCartridge: true };
+
+    it("sleeps after the idle timeout while on", () => {
+      expect(powerReducer(running, idleTimeout)).toEqual(asleep);
+    });
+
+    it("only sleeps while on", () => {
+      const booting = powerReducer(off, press);
+      expect(powerReducer(off, idleTimeout)).toBe(off);
+      expect(powerReducer(booting, idleTimeout)).toBe(booting);
+    });
+
+    it("wakes on activity to where it was", () => {
+      expect(powerReducer(asleep, activity)).toEqual(running);
+    });
+
+    it("ignores activity while awake or off", () => {
+      expect(powerReducer(running, activity)).toBe(running);
+      expect(powerReducer(off, activity)).toBe(off);
+    });
+
+    it("wakes on the power button instead of turning off", () => {
+      expect(powerReducer(asleep, press)).toEqual(running);
+    });
+
+    it("wakes when a cartridge goes in or out", () => {
+      expect(powerReducer(asleep, cartridge(false))).toEqual({
+        status: PowerState.IDLE,
+        hasCartridge: false
+      });
+    });
+  });
+});
+
+describe("getInitialPowerState", () => {
+  it("boots by default", () => {
+    expect(getInitialPowerState().status).toBe(PowerState.BOOTING);
+  });
+
+  it.each([
+    ["?power=off", PowerState.OFF],
+    ["?power=on", PowerState.IDLE],
+    ["?export=png", PowerState.IDLE]
+  ])("starts %s as %s", (query, status) => {
+    withQuery(query);
+    expect(getInitialPowerState().status).toBe(status);
+  });
+
+  it("starts running when on with a cartridge", () => {
+    withQuery("?power=on");
+    expect(getInitialPowerState(true).status).toBe(PowerState.RUNNING);
+  });
+});
+
+describe("getSleepAfter", () => {
+  it.each([
+    ["", 300],
+    ["?sleep=60", 60],
+    ["?sleep=1.5", 1.5],
+    ["?sleep=0", null],
+    ["?sleep=-5", 300],
+    ["?sleep=soon", 300]
+  ])("reads %p as %p seconds", (query, seconds) => {
+    withQuery(query);
+    expect(getSleepAfter()).toBe(seconds);
+  });
+});
@@ -0,0 +1,118 @@
+// Still and video exports of the scene, from the export panel or from query
+// params so a headless browser can produce them:
+//
+//   ?export=png|webm      export once the scene (and cartridge) is ready
+//   &width=&height=       output size in pixels (1920x1080 by default)
+//   &mode=turntable|insert  video: orbit the machine, or insert ?cartridge=
+//   &duration=<seconds>   video length
+//
+// The result is downloaded and also left on window.simulatorExport as
+// { status: "done", fileName, url } (or { status: "error", message }) for
+// scripts to pick up.
+import * as THREE from "three";
+
+export const ExportFormat = { PNG: "png", WEBM: "webm" };
+export const VideoMode = { TURNTABLE: "turntable", INSERT: "insert" };
+
+export const DEFAULT_EXPORT = {
+  format: ExportFormat.PNG,
+  width: 1920,
+  height: 1080,
+  mode: VideoMode.TURNTABLE,
+  duration: 6
+};
+
+export const MAX_EXPORT_SIZE = 4096;
+const MAX_DURATION = 60;
+
+// The firmware page size, which the screen capture is drawn at
+export const SCREEN_WIDTH = 1048;
+export const SCREEN_HEIGHT = 772;
+
+const clamp = (value, min, max, fallback) =>
+  Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+
+// Fill in and bound export options
+export const normalizeExportOptions = (options) => ({
+  format: Object.values(ExportFormat).includes(options.format)
+    ? options.format
+    : DEFAULT_EXPORT.format,
+  width: Math.round(
+    clamp(options.width, 16, MAX_EXPORT_SIZE, DEFAULT_EXPORT.width)
+  ),
+  height: Math.round(
+    clamp(options.height, 16, MAX_EXPORT_SIZE, DEFAULT_EXPORT.height)
+  ),
+  mode: Object.values(VideoMode).includes(options.mode)
+    ? options.mode
+    : DEFAULT_EXPORT.mode,
+  duration: clamp(options.duration, 1, MAX_DURATION, DEFAULT_EXPORT.duration)
+});
+
+// Export asked for in the query string, or null
+export const readExportRequest = () => {
+  const params = new URLSearchParams(window.location.search);
+  const format = params.get("export");
+  if (!format) return null;
+
+  return normalizeExportOptions({
+    format,
+    width: Number(params.get("width") || undefined),
+    height: Number(params.get("height") || undefined),
+    mode: params.get("mode"),
+    duration: Number(params.get("duration") || undefined)
+  });
+};
+
+// WebM flavour this browser can record, or null when it can't
+export const getVideoMimeType = () => {
+  if (typeof MediaRecorder === "undefined") return null;
+  return (
+    ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find(
+      (type) => MediaRecorder.isTypeSupported(type)
+    ) || null
+  );
+};
+
+// Texture standing in for the firmware iframe, which WebGL can't draw: the
+// firmware's own capture, or a card with fallbackText when there is none
+export const createScreenTexture = async (image, fallbackText) => {
+  let texture;
+  if (image) {
+    try {
+      texture = await new THREE.TextureLoader().loadAsync(image);
+    } catch (error) {
+      texture = null; // Fall through to the card
+    }
+  }
+
+  if (!texture) {
+    const canvas = document.createElement("canvas");
+    canvas.width = SCREEN_WIDTH;
+    canvas.height = SCREEN_HEIGHT;
+    const context = canvas.getContext("2d");
+    context.fillStyle = "#000000";
+    context.fillRect(0, 0, SCREEN_WIDTH, SCREEN_HEIGHT);
+    context.fillStyle = "#FFFFFF";
+    context.font = "48px sans-serif";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillText(fallbackText, SCREEN_WIDTH / 2, SCREEN_HEIGHT / 2);
+    texture = new THREE.CanvasTexture(canvas);
+  }
+
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+};
+
+export const downloadFile = (url, fileName) => {
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+};
+
+// Report to scripts driving a headless browser
+export const publishExportResult = (result) => {
+  window.simulatorExport = result;
+};
@@ -0,0 +1,150 @@
+// Looks for the scene: environment lighting baked from light panels, like an
+// HDRI but with no image to download, the key light, the ground with soft
+// shadows on it and the material of each part. The choice is saved in
+// localStorage and in ?scene=<preset id>, which wins so a shared link keeps
+// its look.
+import { useSyncExternalStore } from "react";
+
+import { writeUrlState } from "./urlState";
+import { loadStored, saveStored } from "./storage";
+
+const STORAGE_KEY = "scene";
+
+const NEUTRAL_BACKGROUND = "radial-gradient(circle, #000000 0%, #141414 100%)";
+
+// Materials shared by the looks that only change the lighting
+const SATIN_PLASTIC = {
+  case: { color: "#F4F4F2", metalness: 0.05, roughness: 0.45 },
+  cartridge: { metalness: 0.05, roughness: 0.5 },
+  controls: { metalness: 0, roughness: 0.6 }
+};
+
+// Grey seamless paper, as in a photo studio
+const STUDIO_GROUND = { color: "#3A3A3A", metalness: 0, roughness: 0.9 };
+
+// Softboxes above and either side, like a product shot
+const STUDIO_LIGHTS = [
+  { form: "rect", position: [0, 60, 0], scale: [80, 80], intensity: 2 },
+  { form: "rect", position: [-70, 10, 40], scale: [30, 90], intensity: 1.5 },
+  { form: "rect", position: [70, 10, 40], scale: [30, 90], intensity: 1.5 },
+  { form: "ring", position: [0, 0, 90], scale: 40, intensity: 0.6 }
+];
+
+export const SCENE_PRESETS = [
+  {
+    id: "studio",
+    label: "Studio",
+    background: NEUTRAL_BACKGROUND,
+    lights: STUDIO_LIGHTS,
+    ambient: 0.2,
+    keyLight: { position: [0, 15, 12], intensity: 1, color: "#FFFFFF" },
+    shadows: { opacity: 0.5, blur: 2.5 },
+    ground: STUDIO_GROUND,
+    materials: SATIN_PLASTIC
+  },
+  {
+    id: "desk",
+    label: "Desk",
+    background: "radial-gradient(circle, #3B3025 0%, #17120D 100%)",
+    lights: [
+      // Window to one side and a warm lamp overhead
+      {
+        form: "rect",
+        position: [-80, 20, 20],
+        scale: [60, 60],
+        intensity: 1.6,
+        color: "#DDE8FF"
+      },
+      {
+        form: "circle",
+        position: [30, 70, 30],
+        scale: 20,
+        intensity: 3,
+        color: "#FFC98A"
+      }
+    ],
+    ambient: 0.15,
+    keyLight: { position: [10, 20, 8], intensity: 1.2, color: "#FFD9A8" },
+    shadows: { opacity: 0.7, blur: 1.5 },
+    ground: { color: "#5A4030", metalness: 0, roughness: 0.6 },
+    materials: SATIN_PLASTIC
+  },
+  {
+    id: "dark-room",
+    label: "Dark room",
+    background: "radial-gradient(circle, #0B0B0E 0%, #000000 100%)",
+    lights: [
+      // Only the faint glow of the screen falls on the machine
+      {
+        form: "rect",
+        position: [0, 0, 60],
+        scale: [40, 30],
+        intensity: 0.4,
+        color: "#B8C8FF"
+      }
+    ],
+    ambient: 0.03,
+    keyLight: { position: [0, 15, 12], intensity: 0.15, color: "#B8C8FF" },
+    shadows: { opacity: 0.3, blur: 3 },
+    ground: { color: "#0A0A0C", metalness: 0, roughness: 0.8 },
+    materials: SATIN_PLASTIC
+  },
+  {
+    id: "pla",
+    label: "PLA print",
+    background: NEUTRAL_BACKGROUND,
+    lights: STUDIO_LIGHTS,
+    ambient: 0.25,
+    keyLight: { position: [0, 15, 12], intensity: 1, color: "#FFFFFF" },
+    shadows: { opacity: 0.5, blur: 2.5 },
+    ground: STUDIO_GROUND,
+    // Matte, a little warm and flat like fresh filament
+    materials: {
+      case: { color: "#EFECE4", metalness: 0, roughness: 0.85 },
+      cartridge: { metalness: 0, roughness: 0.8 },
+      controls: { metalness: 0, roughness: 0.8 }
+    }
+  },
+  {
+    id: "resin",
+    label: "Resin print",
+    background: NEUTRAL_BACKGROUND,
+    lights: STUDIO_LIGHTS,
+    ambient: 0.2,
+    keyLight: { position: [0, 15, 12], intensity: 1, color: "#FFFFFF" },
+    shadows: { opacity: 0.5, blur: 2.5 },
+    ground: STUDIO_GROUND,
+    // Smooth and slightly glossy grey
+    materials: {
+      case: { color: "#C9CDD2", metalness: 0, roughness: 0.25 },
+      cartridge: { metalness: 0, roughness: 0.3 },
+      controls: { metalness: 0, roughness: 0.3 }
+    }
+  }
+];
+
+export const DEFAULT_SCENE_PRESET = SCENE_PRESETS[0];
+
+export const getScenePreset = (id) =>
+  SCENE_PRESETS.find((preset) => preset.id === id) || DEFAULT_SCENE_PRESET;
+
+let currentId =
+  new URLSearchParams(window.location.search).get("scene") ||
+  loadStored(STORAGE_KEY);
+const listeners = new Set();
+
+export const setScenePreset = (id) => {
+  currentId = id;
+  writeUrlState({ scene: id });
+  saveStored(STORAGE_KEY, id);
+  listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// The preset in use, updating when another one is picked
+export const useScenePreset = () =>
+  getScenePreset(useSyncExternalStore(subscribe, () => currentId));
@@ -0,0 +1,158 @@
+// Shared sessions through the relay in server/relay.js, which documents the
+// messages. A session is joined with:
+//   ?session=<id>      session to join, shared by copying the URL
+//   &relay=<ws url>    relay to use, see getRelayUrl for the default
+// The name shown to others is saved in localStorage.
+import { useEffect, useRef, useState } from "react";
+
+import { loadStored, saveStored } from "./storage";
+
+export const SessionMessage = {
+  WELCOME: "welcome",
+  PRESENCE: "presence",
+  SLOT: "slot",
+  CAMERA: "camera",
+  HOVER: "hover",
+  MODE: "mode",
+  HOST: "host"
+};
+
+export const SessionMode = { HOST: "host", SHARED: "shared" };
+
+export const SessionStatus = {
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  DISCONNECTED: "disconnected"
+};
+
+const NAME_STORAGE_KEY = "session-name";
+const RELAY_PORT = 3002;
+const RECONNECT_DELAY = 2000; // ms
+
+export const getSessionId = () =>
+  new URLSearchParams(window.location.search).get("session");
+
+// ?relay=, REACT_APP_RELAY_URL, or the relay's default port on this host
+export const getRelayUrl = () => {
+  const urlParams = new URLSearchParams(window.location.search);
+  const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  return (
+    urlParams.get("relay") ||
+    process.env.REACT_APP_RELAY_URL ||
+    `${protocol}//${window.location.hostname}:${RELAY_PORT}`
+  );
+};
+
+// Short random id that's easy to read out
+export const createSessionId = () => Math.random().toString(36).slice(2, 8);
+
+export const loadSessionName = () => {
+  const name = loadStored(NAME_STORAGE_KEY, "");
+  return typeof name === "string" ? name : "";
+};
+
+export const saveSessionName = (name) => saveStored(NAME_STORAGE_KEY, name);
+
+const initialPresence = { hostId: null, mode: SessionMode.HOST, peers: [] };
+
+// Stay connected to a session while sessionId is set, reconnecting when the
+// relay drops. onMessage gets the welcome, slot and camera messages.
+// Returns { status, clientId, hostId, mode, peers, canControl, send }.
+export function useSession({ relayUrl, sessionId, name, onMessage }) {
+  const [status, setStatus] = useState(SessionStatus.DISCONNECTED);
+  const [clientId, setClientId] = useState(null);
+  const [presence, setPresence] = useState(initialPresence);
+  const socketRef = useRef(null);
+  const onMessageRef = useRef(onMessage);
+
+  useEffect(() => {
+    onMessageRef.current = onMessage;
+  });
+
+  useEffect(() => {
+    if (!sessionId) return;
+
+    let closed = false;
+    let retryTimer = null;
+
+    const connect = () => {
+      setStatus(SessionStatus.CONNECTING);
+      let socket;
+      try {
+        // A bad ?relay= throws here too, leaving the session disconnected
+        const url = new URL(relayUrl);
+        url.searchParams.set("session", sessionId);
+        if (name) url.searchParams.set("name", name);
+        socket = new WebSocket(url);
+      } catch (error) {
+        setStatus(SessionStatus.DISCONNECTED);
+        return;
+      }
+      socketRef.current = socket;
+
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          return;
+        }
+        if (message === null || typeof message !== "object") return;
+        if (message.type === SessionMessage.WELCOME) {
+          setStatus(SessionStatus.CONNECTED);
+          setClientId(message.clientId);
+        }
+        if (message.type === SessionMessage.PRESENCE) {
+          setPresence({
+            hostId: message.hostId,
+            mode: message.mode,
+            peers: Array.isArray(message.peers) ? message.peers : []
+          });
+        } else {
+          onMessageRef.current(message);
+        }
+      };
+
+      socket.onclose = () => {
+        if (socketRef.current === socket) socketRef.current = null;
+        if (closed) return;
+        setStatus(SessionStatus.DISCONNECTED);
+        setPresence(initialPresence);
+        retryTimer = setTimeout(connect, RECONNECT_DELAY);
+      };
+    };
+
+    connect();
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socketRef.current) socketRef.current.close();
+      socketRef.current = null;
+      setStatus(SessionStatus.DISCONNECTED);
+      setClientId(null);
+      setPresence(initialPresence);
+    };
+  }, [relayUrl, sessionId, name]);
+
+  const send = (type, fields = {}) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type, ...fields }));
+    }
+  };
+
+  const isConnected = status === SessionStatus.CONNECTED;
+  return {
+    status,
+    clientId,
+    ...presence,
+    isConnected,
+    isHost: isConnected && presence.hostId === clientId,
+    // Outside a session everyone is in control of their own machine
+    canControl:
+      !isConnected ||
+      presence.mode === SessionMode.SHARED ||
+      presence.hostId === clientId,
+    send
+  };
+}
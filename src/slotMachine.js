@@ -0,0 +1,203 @@
+// State machine for the top slot, independent of React and three.js.
+//
+// States
+//   idle       slot empty, nothing waiting
+//   inserting  `current` is animating into the slot
+//   inserted   `current` is in the slot and running
+//   ejecting   `current` is animating back home
+//   queued     slot empty, `queued` goes in once the swap delay has passed
+//
+// While inserting or ejecting another cartridge can be `queued` for a swap.
+// `inSlot` tells whether the current cartridge made it all the way in, so an
+// insert turned around halfway never counts as running.
+// Events that don't apply to the current state are ignored, so late or
+// duplicate animation callbacks can't desync it.
+
+export const SlotState = {
+  IDLE: "idle",
+  INSERTING: "inserting",
+  INSERTED: "inserted",
+  EJECTING: "ejecting",
+  QUEUED: "queued"
+};
+
+export const SlotEvent = {
+  SELECT: "select", // { index } clicked, keyed or dropped on the slot
+  INSERT: "insert", // { index } like select, but never ejects that cartridge
+  EJECT: "eject", // empty the slot and forget any queued swap
+  RESTORE: "restore", // { index } start with a cartridge already inserted
+  ANIMATION_DONE: "animationDone", // { index } a cartridge finished moving
+  SWAP_DELAY_DONE: "swapDelayDone", // the pause between eject and insert is over
+  REMOVE: "remove" // { index } a cartridge left the catalog, later ones move up
+};
+
+export const initialSlotState = {
+  status: SlotState.IDLE,
+  current: null,
+  queued: null,
+  inSlot: false
+};
+
+const idle = () => initialSlotState;
+const inserting = (current, queued = null) => ({
+  status: SlotState.INSERTING,
+  current,
+  queued,
+  inSlot: false
+});
+const inserted = (current) => ({
+  status: SlotState.INSERTED,
+  current,
+  queued: null,
+  inSlot: true
+});
+const ejecting = (state, queued = null) => ({
+  status: SlotState.EJECTING,
+  current: state.current,
+  queued,
+  inSlot: state.inSlot
+});
+const waiting = (queued) => ({
+  status: SlotState.QUEUED,
+  current: null,
+  queued,
+  inSlot: false
+});
+
+const select = (state, index) => {
+  const { status, current, queued } = state;
+
+  switch (status) {
+    case SlotState.IDLE:
+      return inserting(index);
+    case SlotState.INSERTING:
+      // Clicking the incoming cartridge again changes nothing
+      if (index === current) return state;
+      return inserting(current, index);
+    case SlotState.INSERTED:
+      // The inserted cartridge ejects, any other one swaps in after it
+      return ejecting(state, index === current ? null : index);
+    case SlotState.EJECTING:
+      if (index === current) return queued === null ? state : ejecting(state);
+      return ejecting(state, index);
+    case SlotState.QUEUED:
+      return waiting(index);
+    default:
+      return state;
+  }
+};
+
+// Used to mirror another machine, where selecting the inserted cartridge
+// again would eject it instead
+const insert = (state, index) => {
+  const { status, current } = state;
+
+  switch (status) {
+    case SlotState.INSERTING:
+      return index === current ? inserting(current) : inserting(current, index);
+    case SlotState.INSERTED:
+      return index === current ? state : ejecting(state, index);
+    case SlotState.EJECTING:
+      // It can't turn around, so it goes back in after the eject
+      return ejecting(state, index);
+    default:
+      return select(state, index);
+  }
+};
+
+const eject = (state) => {
+  switch (state.status) {
+    case SlotState.INSERTING:
+    case SlotState.INSERTED:
+    case SlotState.EJECTING:
+      // An insert in progress turns around from wherever it got to
+      return ejecting(state);
+    case SlotState.QUEUED:
+      return idle();
+    default:
+      return state;
+  }
+};
+
+const animationDone = (state, index) => {
+  const { status, current, queued } = state;
+  if (index !== current) return state;
+
+  if (status === SlotState.INSERTING) {
+    // Something was picked meanwhile, so swap straight away
+    return queued === null
+      ? inserted(current)
+      : ejecting({ current, inSlot: true }, queued);
+  }
+  if (status === SlotState.EJECTING) {
+    return queued === null ? idle() : waiting(queued);
+  }
+  return state;
+};
+
+const remove = (state, index) => {
+  if (state.current === index) return idle();
+
+  const shift = (value) =>
+    value !== null && value > index ? value - 1 : value;
+  const queued = state.queued === index ? null : shift(state.queued);
+  if (state.status === SlotState.QUEUED && queued === null) return idle();
+  return { ...state, current: shift(state.current), queued };
+};
+
+export const slotReducer = (state, event) => {
+  switch (event.type) {
+    case SlotEvent.SELECT:
+      return select(state, event.index);
+    case SlotEvent.INSERT:
+      return insert(state, event.index);
+    case SlotEvent.EJECT:
+      return eject(state);
+    case SlotEvent.RESTORE:
+      // Only into an empty slot, and never a cartridge that wasn't found
+      return state.status === SlotState.IDLE &&
+        Number.isInteger(event.index) &&
+        event.index >= 0
+        ? inserted(event.index)
+        : state;
+    case SlotEvent.ANIMATION_DONE:
+      return animationDone(state, event.index);
+    case SlotEvent.SWAP_DELAY_DONE:
+      return state.status === SlotState.QUEUED
+        ? inserting(state.queued)
+        : state;
+    case SlotEvent.REMOVE:
+      return remove(state, event.index);
+    default:
+      return state;
+  }
+};
+
+// Cartridge whose app is on screen: it stays until it has fully ejected
+export const getActiveIndex = ({ current, inSlot }) =>
+  inSlot ? current : null;
+
+// Cartridge currently moving in or out of the slot
+export const getAnimatingIndex = ({ status, current }) =>
+  status === SlotState.INSERTING || status === SlotState.EJECTING
+    ? current
+    : null;
+
+// Cartridge the slot is heading for once things settle, null for empty
+export const getTargetIndex = ({ status, current, queued }) => {
+  if (queued !== null) return queued;
+  return status === SlotState.INSERTING || status === SlotState.INSERTED
+    ? current
+    : null;
+};
+
+// Slots of several machines, keyed by machine id. Events carry the machineId
+// they're for; the state object only changes when that machine's slot does.
+export const getMachineSlot = (slots, machineId) =>
+  slots[machineId] || initialSlotState;
+
+export const machineSlotsReducer = (slots, { machineId, ...event }) => {
+  const slot = getMachineSlot(slots, machineId);
+  const next = slotReducer(slot, event);
+  return next === slot ? slots : { ...slots, [machineId]: next };
+};
@@ -0,0 +1,254 @@
+import {
+  SlotEvent,
+  SlotState,
+  getActiveIndex,
+  initialSlotState,
+  slotReducer
+} from "./slotMachine";
+
+const run = (events, state = initialSlotState) =>
+  events.reduce(slotReducer, state);
+
+const select = (index) => ({ type: SlotEvent.SELECT, index });
+const done = (index) => ({ type: SlotEvent.ANIMATION_DONE, index });
+const swapDelayDone = { type: SlotEvent.SWAP_DELAY_DONE };
+const eject = { type: SlotEvent.EJECT };
+const restore = (index) => ({ type: SlotEvent.RESTORE, index });
+const insert = (index) => ({ type: SlotEvent.INSERT, index });
+
+describe("slotReducer", () => {
+  it("inserts a selected cartridge once its animation is done", () => {
+    const state = run([select(0), done(0)]);
+    expect(state).toEqual({
+      status: SlotState.INSERTED,
+      current: 0,
+      queued: null,
+      inSlot: true
+    });
+    expect(getActiveIndex(state)).toBe(0);
+  });
+
+  describe("rapid clicks", () => {
+    it("ignores the incoming cartridge being clicked again while inserting", () => {
+      const state = run([select(0)]);
+      expect(slotReducer(state, select(0))).toBe(state);
+    });
+
+    it("queues another cartridge selected while inserting", () => {
+      const state = run([select(0), select(1)]);
+      expect(state.status).toBe(SlotState.INSERTING);
+      expect(state.current).toBe(0);
+      expect(state.queued).toBe(1);
+    });
+
+    it("keeps only the last cartridge selected while inserting", () => {
+      const state = run([select(0), select(1), select(2)]);
+      expect(state.queued).toBe(2);
+    });
+
+    it("queues another cartridge selected while ejecting", () => {
+      const state = run([select(0), done(0), select(0), select(1)]);
+      expect(state.status).toBe(SlotState.EJECTING);
+      expect(state.current).toBe(0);
+      expect(state.queued).toBe(1);
+    });
+
+    it("drops the queued swap when the ejecting cartridge is clicked", () => {
+      const state = run([select(0), done(0), select(1), select(0)]);
+      expect(state.status).toBe(SlotState.EJECTING);
+      expect(state.queued).toBe(null);
+    });
+
+    it("replaces the queued cartridge while waiting for the swap delay", () => {
+      const state = run([select(0), done(0), select(1), done(0), select(2)]);
+      expect(state.status).toBe(SlotState.QUEUED);
+      expect(state.queued).toBe(2);
+    });
+  });
+
+  it("swaps a queued cartridge in after the eject and swap delay", () => {
+    const ejecting = run([select(0), done(0), select(1)]);
+    expect(ejecting.status).toBe(SlotState.EJECTING);
+    expect(getActiveIndex(ejecting)).toBe(0); // Still running until it's out
+
+    const waiting = slotReducer(ejecting, done(0));
+    expect(waiting).toEqual({
+      status: SlotState.QUEUED,
+      current: null,
+      queued: 1,
+      inSlot: false
+    });
+    expect(getActiveIndex(waiting)).toBe(null);
+
+    const inserting = slotReducer(waiting, swapDelayDone);
+    expect(inserting.status).toBe(SlotState.INSERTING);
+    expect(inserting.current).toBe(1);
+    expect(inserting.queued).toBe(null);
+
+    expect(slotReducer(inserting, done(1)).status).toBe(SlotState.INSERTED);
+  });
+
+  describe("interrupted animations", () => {
+    it("turns an insert around on eject without it ever counting as in", () => {
+      const state = run([select(0), eject]);
+      expect(state.status).toBe(SlotState.EJECTING);
+      expect(state.current).toBe(0);
+      expect(state.inSlot).toBe(false);
+      expect(getActiveIndex(state)).toBe(null);
+
+      expect(slotReducer(state, done(0))).toBe(initialSlotState);
+    });
+
+    it("forgets a queued swap on eject", () => {
+      const state = run([select(0), select(1), eject]);
+      expect(state.queued).toBe(null);
+      expect(run([done(0)], state)).toBe(initialSlotState);
+    });
+
+    it("swaps straight away when a cartridge was queued during the insert", () => {
+      const state = run([select(0), select(1), done(0)]);
+      expect(state.status).toBe(SlotState.EJECTING);
+      expect(state.inSlot).toBe(true);
+      expect(state.queued).toBe(1);
+    });
+  });
+
+  describe("late or duplicate events", () => {
+    it("ignores a duplicate animation done", () => {
+      const state = run([select(0), done(0)]);
+      expect(slotReducer(state, done(0))).toBe(state);
+    });
+
+    it("ignores animation done from another cartridge", () => {
+      const state = run([select(0)]);
+      expect(slotReducer(state, done(1))).toBe(state);
+    });
+
+    it("ignores animation done from a cartridge that has already gone home", () => {
+      const state = run([select(0), done(0), select(1), done(0)]);
+      expect(slotReducer(state, done(0))).toBe(state);
+    });
+
+    it("ignores the swap delay outside the queued state", () => {
+      const state = run([select(0)]);
+      expect(slotReducer(state, swapDelayDone)).toBe(state);
+    });
+  });
+
+  // Mirroring another machine, where the same cartridge must stay in
+  describe("inserting", () => {
+    it("inserts into an empty slot like a select", () => {
+      expect(run([insert(0)])).toEqual(run([select(0)]));
+    });
+
+    it("keeps the inserted cartridge in when inserted again", () => {
+      const state = run([select(0), done(0)]);
+      expect(slotReducer(state, insert(0))).toBe(state);
+    });
+
+    it("swaps in another cartridge", () => {
+      const state = run([select(0), done(0), insert(1)]);
+      expect(state.status).toBe(SlotState.EJECTING);
+      expect(state.queued).toBe(1);
+    });
+
+    it("drops a queued swap when the incoming cartridge is inserted again", () => {
+      const state = run([select(0), select(1), insert(0)]);
+      expect(state.status).toBe(SlotState.INSERTING);
+      expect(state.current).toBe(0);
+      expect(state.queued).toBe(null);
+    });
+
+    it("puts an ejecting cartridge back in after the eject", () => {
+      const state = run([select(0), done(0), eject, insert(0)]);
+      expect(state.status).toBe(SlotState.EJECTING);
+      expect(state.queued).toBe(0);
+      expect(run([done(0), swapDelayDone, done(0)], state)).toEqual(
+        run([select(0), done(0)])
+      );
+    });
+  });
+
+  describe("restoring", () => {
+    it("puts a cartridge straight into an empty slot", () => {
+      const state = run([restore(2)]);
+      expect(state).toEqual({
+        status: SlotState.INSERTED,
+        current: 2,
+        queued: null,
+        inSlot: true
+      });
+      expect(getActiveIndex(state)).toBe(2);
+    });
+
+    it("leaves another inserted cartridge alone", () => {
+      const state = run([select(0), done(0)]);
+      expect(slotReducer(state, restore(1))).toBe(state);
+    });
+
+    it("leaves a cartridge on its way in alone", () => {
+      const state = run([select(0)]);
+      expect(slotReducer(state, restore(1))).toBe(state);
+    });
+
+    it.each([-1, 1.5, undefined])(
+      "ignores an index that is out of range: %p",
+      (index) => {
+        expect(slotReducer(initialSlotState, restore(index))).toBe(
+          initialSlotState
+        );
+      }
+    );
+  });
+
+  describe("removing cartridges", () => {
+    it("shifts later indices down", () => {
+      const state = run([
+        select(2),
+        done(2),
+        select(4),
+        { type: SlotEvent.REMOVE, index: 0 }
+      ]);
+      expect(state.current).toBe(1);
+      expect(state.queued).toBe(3);
+    });
+
+    it("keeps earlier indices", () => {
+      const state = run([
+        select(1),
+        select(2),
+        { type: SlotEvent.REMOVE, index: 3 }
+      ]);
+      expect(state.current).toBe(1);
+      expect(state.queued).toBe(2);
+    });
+
+    it("empties the slot when its cartridge is removed", () => {
+      const state = run([
+        select(1),
+        done(1),
+        { type: SlotEvent.REMOVE, index: 1 }
+      ]);
+      expect(state).toBe(initialSlotState);
+    });
+
+    it("drops a removed queued cartridge", () => {
+      const inserting = run([
+        select(0),
+        select(1),
+        { type: SlotEvent.REMOVE, index: 1 }
+      ]);
+      expect(inserting.current).toBe(0);
+      expect(inserting.queued).toBe(null);
+
+      const waiting = run([
+        select(0),
+        done(0),
+        select(1),
+        done(0),
+        { type: SlotEvent.REMOVE, index: 1 }
+      ]);
+      expect(waiting).toBe(initialSlotState);
+    });
+  });
+});
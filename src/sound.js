@@ -0,0 +1,187 @@
+// Sound effects synthesized with Web Audio, and a buzz on devices that can
+// vibrate. Muting silences both and is saved in localStorage.
+import { useSyncExternalStore } from "react";
+
+import { loadStored, saveStored } from "./storage";
+
+const STORAGE_KEY = "muted";
+
+export const Sound = {
+  HOVER: "hover",
+  PRESS: "press",
+  SLIDE: "slide",
+  CLICK_IN: "click-in",
+  EJECT: "eject"
+};
+
+// navigator.vibrate patterns in ms, sounds without one don't buzz
+const VIBRATIONS = {
+  [Sound.PRESS]: 10,
+  [Sound.CLICK_IN]: [30, 40, 20],
+  [Sound.EJECT]: 25
+};
+
+let muted = loadStored(STORAGE_KEY, false) === true;
+const listeners = new Set();
+
+export const isMuted = () => muted;
+
+export const setMuted = (value) => {
+  muted = value;
+  saveStored(STORAGE_KEY, muted);
+  listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const useMuted = () => useSyncExternalStore(subscribe, isMuted);
+
+// Browsers block audio and vibration until the page has been interacted with
+const hasUserActivation = () =>
+  !navigator.userActivation || navigator.userActivation.hasBeenActive;
+
+let context = null; // Created on first use
+let noiseBuffer = null;
+
+const getContext = () => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return null;
+  if (!context && !hasUserActivation()) return null;
+
+  if (!context) {
+    context = new AudioContext();
+    // A second of white noise, filtered into slides and clicks
+    noiseBuffer = context.createBuffer(
+      1,
+      context.sampleRate,
+      context.sampleRate
+    );
+    const data = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+  }
+  if (context.state === "suspended") {
+    context.resume().catch(() => {});
+  }
+  return context;
+};
+
+// Gain that rises over attack seconds and fades out by duration
+const createEnvelope = (ctx, start, duration, volume, attack = 0.005) => {
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.exponentialRampToValueAtTime(volume, start + attack);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+  gain.connect(ctx.destination);
+  return gain;
+};
+
+// Oscillator gliding from one frequency to another
+const playTone = (
+  ctx,
+  { type, from, to = from, duration, volume, delay = 0 }
+) => {
+  const start = ctx.currentTime + delay;
+  const oscillator = ctx.createOscillator();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(from, start);
+  oscillator.frequency.exponentialRampToValueAtTime(to, start + duration);
+  oscillator.connect(createEnvelope(ctx, start, duration, volume));
+  oscillator.start(start);
+  oscillator.stop(start + duration);
+};
+
+// Filtered noise: short bursts click, long ones slide
+const playNoise = (
+  ctx,
+  { filter, frequency, duration, volume, attack, delay = 0 }
+) => {
+  const start = ctx.currentTime + delay;
+  const source = ctx.createBufferSource();
+  source.buffer = noiseBuffer;
+  source.loop = true;
+  const biquad = ctx.createBiquadFilter();
+  biquad.type = filter;
+  biquad.frequency.value = frequency;
+  source.connect(biquad);
+  biquad.connect(createEnvelope(ctx, start, duration, volume, attack));
+  source.start(start);
+  source.stop(start + duration);
+};
+
+const SYNTHS = {
+  [Sound.HOVER]: (ctx) =>
+    playTone(ctx, { type: "sine", from: 1800, duration: 0.04, volume: 0.03 }),
+  [Sound.PRESS]: (ctx) => {
+    playNoise(ctx, {
+      filter: "highpass",
+      frequency: 3000,
+      duration: 0.03,
+      volume: 0.15
+    });
+    playTone(ctx, {
+      type: "triangle",
+      from: 320,
+      to: 180,
+      duration: 0.06,
+      volume: 0.08
+    });
+  },
+  [Sound.SLIDE]: (ctx, { duration = 0.6 }) =>
+    playNoise(ctx, {
+      filter: "bandpass",
+      frequency: 900,
+      duration,
+      volume: 0.06,
+      attack: duration / 3
+    }),
+  // A sharp latch followed by the thud of the cartridge seating
+  [Sound.CLICK_IN]: (ctx) => {
+    playNoise(ctx, {
+      filter: "highpass",
+      frequency: 2000,
+      duration: 0.025,
+      volume: 0.35
+    });
+    playTone(ctx, {
+      type: "sine",
+      from: 110,
+      to: 50,
+      duration: 0.15,
+      volume: 0.5,
+      delay: 0.01
+    });
+  },
+  [Sound.EJECT]: (ctx) => {
+    playNoise(ctx, {
+      filter: "highpass",
+      frequency: 1500,
+      duration: 0.02,
+      volume: 0.25
+    });
+    playTone(ctx, {
+      type: "triangle",
+      from: 140,
+      to: 280,
+      duration: 0.12,
+      volume: 0.2,
+      delay: 0.02
+    });
+  }
+};
+
+// Play a Sound, options.duration stretches the slide to match an animation
+export const playSound = (sound, options = {}) => {
+  if (muted) return;
+
+  if (VIBRATIONS[sound] && navigator.vibrate && hasUserActivation()) {
+    navigator.vibrate(VIBRATIONS[sound]);
+  }
+
+  const ctx = getContext();
+  if (ctx) SYNTHS[sound](ctx, options);
+};
@@ -0,0 +1,27 @@
+// Values kept in localStorage between visits, as JSON under
+// "cartridge-machine-simulator:<key>". Storage can be unavailable (private
+// browsing) or full, in which case loading gives the fallback and saving does
+// nothing: the app works the same, it just won't remember.
+const PREFIX = "cartridge-machine-simulator:";
+
+export const loadStored = (key, fallback = null) => {
+  try {
+    const value = JSON.parse(window.localStorage.getItem(PREFIX + key));
+    return value === null ? fallback : value;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// null removes the value
+export const saveStored = (key, value) => {
+  try {
+    if (value === null) {
+      window.localStorage.removeItem(PREFIX + key);
+    } else {
+      window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    }
+  } catch (error) {
+    // Unavailable or full, see above
+  }
+};
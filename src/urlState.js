@@ -0,0 +1,72 @@
+// Shareable view state kept in the query string:
+//   ?cartridge=<app>   cartridge to insert on load
+//   &inserted=1        start with it already in the slot instead of animating it in
+//   &view=<id>         camera viewpoint, which sets the orbit's target
+//   &camera=<azimuth>,<polar>,<distance>   orbit angles in degrees and zoom distance
+//   &session=<id>      shared session to join, see session.js
+//   &scene=<id>        lighting and materials preset, see scenePresets.js
+import * as THREE from "three";
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Read an orbit in the ?camera= format, null when it isn't one
+export const parseCamera = (value) => {
+  if (!value) return null;
+
+  const parts = value.split(",").map(Number);
+  if (parts.length !== 3 || !parts.every(Number.isFinite) || parts[2] <= 0) {
+    return null;
+  }
+
+  const [azimuth, polar, distance] = parts;
+  return {
+    azimuth: THREE.MathUtils.degToRad(azimuth),
+    polar: THREE.MathUtils.degToRad(polar),
+    distance
+  };
+};
+
+export const readUrlState = () => {
+  const urlParams = new URLSearchParams(window.location.search);
+  return {
+    cartridge: urlParams.get("cartridge"),
+    inserted: urlParams.get("inserted") === "1",
+    view: urlParams.get("view"),
+    camera: parseCamera(urlParams.get("camera"))
+  };
+};
+
+// Merge changes into the query string without adding history entries.
+// null removes a param; other params (fccApiKey, manifest, ...) are kept.
+export const writeUrlState = (changes) => {
+  const url = new URL(window.location.href);
+
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === null || value === undefined) {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, value);
+    }
+  });
+
+  if (url.href !== window.location.href) {
+    window.history.replaceState(window.history.state, "", url);
+  }
+};
+
+// Read the orbit of OrbitControls in the URL's format
+export const getCameraParam = (controls) =>
+  [
+    round(THREE.MathUtils.radToDeg(controls.getAzimuthalAngle())),
+    round(THREE.MathUtils.radToDeg(controls.getPolarAngle())),
+    round(controls.getDistance())
+  ].join(",");
+
+// Move the camera to an orbit around the controls' target
+export const applyCameraState = (controls, { azimuth, polar, distance }) => {
+  const offset = new THREE.Vector3().setFromSpherical(
+    new THREE.Spherical(distance, polar, azimuth)
+  );
+  controls.object.position.copy(controls.target).add(offset);
+  controls.update(); // Clamps to the rotation and zoom limits
+};
@@ -0,0 +1,21 @@
+// Checks shared by the parsers of the manifest, calibration and other config
+
+// An [x, y, z] position of finite numbers
+export const isPosition = (value) =>
+  Array.isArray(value) &&
+  value.length === 3 &&
+  value.every((n) => typeof n === "number" && Number.isFinite(n));
+
+// An http(s) URL, absolute or relative to the page
+export const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value, window.location.href);
+    return protocol === "http:" || protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+};
+
+// A { key: value } object, not null or an array
+export const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);